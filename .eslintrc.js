@@ -1,3 +1,6 @@
 module.exports = {
     "extends": "react-app",
+    "env": {
+        "es2020": true,
+    },
 }
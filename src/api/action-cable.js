@@ -1,36 +1,176 @@
-import { createConsumer } from '@rails/actioncable';
 import { toast } from 'react-toastify';
 import { v4 as uuidv4 } from 'uuid';
 
+import { t } from '../i18n';
 import store from '../state';
+import appSlice from '../state/app';
+import errorsSlice from '../state/errors';
+import outboxSlice from '../state/outbox';
+import tableViewSlice from '../state/table-view';
+import { loadOutbox, outboxKey, saveOutbox } from './outbox';
+import { validateMessage } from './protocol';
+import { createTransport, needsLogin, transportName } from './transports';
 
-export const clientId = uuidv4();
-export const task = window.location.pathname.slice(1);
-let url = `${process.env.REACT_APP_API_ENDPOINT}?task_id=${task}&client_id=${clientId}`;
+const RESPONSE_TIMEOUT = 5000;
 
-const currentUrl = new URL(window.location.href);
-const token = currentUrl.searchParams.get("token");
+const local = transportName === 'local';
+export const task = window.location.pathname.slice(1) || (local ? 'demo' : '');
 
-if (!token) {
-  const password = prompt('Enter judge password');
-  url += `&password=${password}`
-} else {
-  url += `&token=${token}`
+// Kept for the browser tab, so the edits made before a reload are still the judge's own
+const clientIdKey = `client-id:${task}`;
+export const clientId = sessionStorage.getItem(clientIdKey) || uuidv4();
+sessionStorage.setItem(clientIdKey, clientId);
+
+if (local) {
+  toast.info(t('toast.demoMode'));
+} else if (!task) {
+  toast.error(t('toast.noTask'));
 }
-const consumer = createConsumer(url);
 
-if (!task) {
-  toast.error('Incorrect URL - no task id');
+store.dispatch(outboxSlice.actions.load(loadOutbox(task)));
+store.dispatch(appSlice.actions.setJudge(localStorage.getItem(`judge:${task}`)));
+try {
+  store.dispatch(tableViewSlice.actions.load(JSON.parse(localStorage.getItem(`table-view:${task}`)) || {}));
+} catch {
+  localStorage.removeItem(`table-view:${task}`);
 }
 
-const received = store.dispatch.bind(store);
-const connected = () => toast.success('Successfully connected to the server.', { autoClose: 2000 });
-const disconnected = () => toast.error('Disconnected from the server.');
-const rejected = () => toast.error('Connection was rejected by the server.');
+let { outbox: savedOutbox, app: { judge: savedJudge }, tableView: savedTableView } = store.getState();
+store.subscribe(() => {
+  const { outbox, app: { judge }, tableView } = store.getState();
+  if (outbox !== savedOutbox) saveOutbox(task, savedOutbox = outbox);
+  if (judge !== savedJudge) {
+    savedJudge = judge;
+    judge ? localStorage.setItem(`judge:${task}`, judge) : localStorage.removeItem(`judge:${task}`);
+  }
+  if (tableView !== savedTableView)
+    localStorage.setItem(`table-view:${task}`, JSON.stringify(savedTableView = tableView));
+});
+
+// A session is remembered until the browser is closed, and only by a token the server issued: the password never is
+const credentialsKey = `credentials:${task}`;
+let transport = null;
+let credentials = null;
+let remember = false;
+
+const loadCredentials = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(credentialsKey));
+  } catch {
+    return null;
+  }
+};
+
+const saveCredentials = () => remember && credentials?.token
+  && sessionStorage.setItem(credentialsKey, JSON.stringify({ token: credentials.token }));
+
+let { app: { token: savedToken } } = store.getState();
+store.subscribe(() => {
+  const { app: { token } } = store.getState();
+  if (token === savedToken) return;
+
+  savedToken = token;
+  credentials = { token };
+  saveCredentials();
+});
+
+const replay = () => {
+  for (const { action, data } of store.getState().outbox) {
+    if (!transport.perform(action, { ...data })) break;
+    store.dispatch(outboxSlice.actions.shift());
+  }
+};
+
+// Only the actions the protocol declares reach the slices; a broken one is reported instead of crashing the page.
+// The time of arrival travels in meta, so the reducers that need it stay pure
+const received = message => {
+  const error = validateMessage(message);
+  if (!error) return store.dispatch({ ...message, meta: { ...message.meta, receivedAt: Date.now() } });
+
+  store.dispatch(errorsSlice.actions.push(t('toast.rejectedMessage', { error })));
+};
+const connected = () => {
+  store.dispatch(appSlice.actions.connect());
+  saveCredentials();
+  replay();
+  toast.success(t('toast.connected'), { autoClose: 2000 });
+};
+// the login page takes over from here and lets the judge try again
+const rejected = () => {
+  transport?.disconnect();
+  transport = null;
+  sessionStorage.removeItem(credentialsKey);
+  store.dispatch(appSlice.actions.reject());
+};
+// a connection refused with bad credentials is closed for good before it was ever accepted
+const disconnected = ({ willAttemptReconnect = true } = {}) => {
+  if (store.getState().app.login === 'pending' && !willAttemptReconnect) return rejected();
+
+  store.dispatch(appSlice.actions.disconnect());
+  toast.error(t('toast.disconnected'));
+};
+
+export const signIn = (newCredentials, { remember: keep = false } = {}) => {
+  transport?.disconnect();
+  credentials = newCredentials;
+  remember = keep;
+  store.dispatch(appSlice.actions.signIn());
+  transport = createTransport({ task, clientId, credentials, received, connected, disconnected, rejected });
+};
+
+// Starts over from the login page, with nothing of the previous session left in memory or in the browser:
+// the next judge must neither replay these queued writes under their own credentials nor inherit this identity
+export const signOut = () => {
+  transport?.disconnect();
+  sessionStorage.removeItem(credentialsKey);
+  sessionStorage.removeItem(clientIdKey);
+  localStorage.removeItem(`judge:${task}`);
+  saveOutbox(task, []);
+
+  const url = new URL(window.location.href);
+  url.searchParams.delete('token');
+  window.history.replaceState(null, '', url);
+  window.location.reload();
+};
+
+const linkToken = new URL(window.location.href).searchParams.get('token');
+if (!needsLogin)
+  signIn({});
+else if (linkToken)
+  signIn({ token: linkToken });
+else if (loadCredentials())
+  signIn(loadCredentials(), { remember: true });
+
+// Writes made while disconnected are queued and replayed in order on the next connect,
+// everything else is only sent when the server can actually receive it.
+const perform = (action, data = {}) => {
+  const key = outboxKey(action, data);
+  const { app, outbox } = store.getState();
+
+  if (!key)
+    return app.connected && transport.perform(action, { ...data });
+
+  if (app.connected && !outbox.length && transport.perform(action, { ...data }))
+    return true;
+
+  store.dispatch(outboxSlice.actions.push({ key, action, data }));
+  return false;
+};
+
+// Resolves once the predicate holds for the store state, rejects after the timeout
+export const waitFor = (predicate, timeout = RESPONSE_TIMEOUT) => new Promise((resolve, reject) => {
+  if (predicate(store.getState())) return resolve();
+
+  const timer = setTimeout(() => { unsubscribe(); reject(new Error('Timed out waiting for the server')); }, timeout);
+  const unsubscribe = store.subscribe(() => {
+    if (predicate(store.getState())) {
+      clearTimeout(timer);
+      unsubscribe();
+      resolve();
+    }
+  });
+});
 
-const client = consumer.subscriptions.create(
-  { channel: 'ApiChannel' },
-  { received, connected, disconnected, rejected }
-);
+const client = { perform };
 
 export default client;
@@ -0,0 +1,58 @@
+import { v4 as uuidv4 } from 'uuid';
+
+import store from '../state';
+import criteriaSlice from '../state/criteria';
+import api, { waitFor } from './action-cable';
+
+const updateCriterion = (id, { name, type, limit, step, options }) =>
+  api.perform('update_criterion', { id, token: uuidv4(), params: { name, type, limit, step, options } });
+
+// The server echoes the token with the criterion, another client may be adding one at the same moment
+const addCriterion = async params => {
+  const token = uuidv4();
+  const isOwn = c => c.token === token;
+
+  api.perform('add_criterion', { token });
+  await waitFor(s => s.criteria.some(isOwn));
+
+  const { id } = store.getState().criteria.find(isOwn);
+  updateCriterion(id, params);
+  return id;
+};
+
+const moveCriteria = ids => {
+  for (let to = 0; to < ids.length; to++) {
+    const from = store.getState().criteria.findIndex(c => c.id === ids[to]);
+    if (from < 0 || from === to) continue;
+
+    store.dispatch(criteriaSlice.actions.dragDrop({ from, to }));
+    api.perform('drag_drop', { from, to });
+  }
+};
+
+// Applies the changes built by diffTemplate one by one, waiting for the server to confirm
+// every added and deleted criterion so that positions stay in sync.
+export const applyTemplate = async (changes, resultMultiplier, mode) => {
+  for (const { id } of changes.filter(c => c.kind === 'delete')) {
+    api.perform('delete_criterion', { id });
+    await waitFor(s => !s.criteria.some(c => c.id === id));
+  }
+
+  const ids = [];
+  for (const change of changes) {
+    const { kind, id } = change;
+    if (kind === 'add')
+      ids.push(await addCriterion(change));
+    else if (kind !== 'delete')
+      ids.push(id);
+
+    if (kind === 'update')
+      updateCriterion(id, change);
+  }
+
+  if (mode === 'replace')
+    moveCriteria(ids);
+
+  if (resultMultiplier !== null && resultMultiplier !== store.getState().resultMultiplier)
+    api.perform('write_result_multiplier', { value: resultMultiplier });
+};
@@ -0,0 +1,63 @@
+import store from '../state';
+import api, { clientId, task, waitFor } from './action-cable';
+
+const HEARTBEAT_INTERVAL = 20000;
+
+export const resultLock = (user, criterion, judge) =>
+  judge ? `${task}:${user}:${criterion}:${judge}` : `${task}:${user}:${criterion}`;
+export const commentLock = user => `${task}:${user}:comment`;
+export const noteLock = (user, criterion) => `${task}:${user}:${criterion}:note`;
+
+// The locks this page asked for; the client id outlives a reload, the locks taken before it do not
+const requested = new Set();
+
+// The judge name travels with the lock, so the others can see who is editing the cell
+export const acquireLock = lock => {
+  requested.add(lock);
+  return api.perform('acquire_lock', { lock, judge: store.getState().app.judge });
+};
+
+export const releaseLock = lock => {
+  requested.delete(lock);
+  return api.perform('release_lock', { lock });
+};
+
+export const takeOverLock = lock => {
+  requested.add(lock);
+  return api.perform('steal_lock', { lock, judge: store.getState().app.judge });
+};
+
+// Locks of a client that stops sending heartbeats, e.g. a laptop gone to sleep, are expired by the server
+setInterval(
+  () => {
+    for (const [lock, holder] of Object.entries(store.getState().locks)) {
+      if (holder.client_id !== clientId) continue;
+      requested.has(lock) ? api.perform('heartbeat_lock', { lock }) : releaseLock(lock);
+    }
+  },
+  HEARTBEAT_INTERVAL
+);
+
+// Runs the callback while holding the lock, the way a focused form does.
+// Returns false without running it when the lock belongs to another client.
+export const withLock = async (lock, callback) => {
+  const holder = store.getState().locks[lock]?.client_id;
+  if (holder && holder !== clientId) return false;
+
+  if (!holder) {
+    acquireLock(lock);
+    try {
+      await waitFor(s => s.locks[lock]);
+    } catch {
+      return false;
+    }
+    if (store.getState().locks[lock]?.client_id !== clientId) return false;
+  }
+
+  try {
+    await callback();
+  } finally {
+    if (!holder) releaseLock(lock);
+  }
+  return true;
+};
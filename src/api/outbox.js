@@ -0,0 +1,26 @@
+const QUEUED_ACTIONS = {
+  write_result: ({ user, criterion }) => `result:${user}:${criterion}`,
+  write_judge_result: ({ user, criterion, judge }) => `result:${user}:${criterion}:${judge}`,
+  write_comment: ({ user }) => `comment:${user}`,
+  write_note: ({ user, criterion }) => `note:${user}:${criterion}`,
+  update_criterion: ({ id }) => `criterion:${id}`,
+};
+
+const storageKey = task => `outbox:${task}`;
+
+export const outboxKey = (action, data) => QUEUED_ACTIONS[action]?.(data);
+
+export const loadOutbox = task => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(task))) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveOutbox = (task, entries) => {
+  if (entries.length)
+    localStorage.setItem(storageKey(task), JSON.stringify(entries));
+  else
+    localStorage.removeItem(storageKey(task));
+};
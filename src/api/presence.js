@@ -0,0 +1,32 @@
+import store from '../state';
+import api from './action-cable';
+
+let focus = null;
+let scheduled = false;
+
+// Moving from one cell to the next blurs one and focuses the other, both end up in a single message
+const announce = () => {
+  if (scheduled) return;
+
+  scheduled = true;
+  setTimeout(() => {
+    scheduled = false;
+    api.perform('presence', { judge: store.getState().app.judge, focus });
+  });
+};
+
+export const focusCell = lock => { focus = lock; announce(); };
+
+export const blurCell = lock => {
+  if (focus !== lock) return;
+  focus = null;
+  announce();
+};
+
+let { app: { connected: wasConnected, judge: lastJudge } } = store.getState();
+store.subscribe(() => {
+  const { app: { connected, judge } } = store.getState();
+  if ((connected && !wasConnected) || judge !== lastJudge) announce();
+  wasConnected = connected;
+  lastJudge = judge;
+});
@@ -0,0 +1,129 @@
+// Every message the server may send: the Redux action type and the shape of its payload.
+// A validator returns null when the value fits, otherwise what was expected, prefixed with the path to it.
+
+const describeValue = value => Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+
+const is = (expected, test) => Object.assign(
+  (value, path) => test(value) ? null : `${path}: expected ${expected}, got ${describeValue(value)}`,
+  { expected, test }
+);
+
+const string = is('string', x => typeof x === 'string');
+const number = is('number', x => typeof x === 'number' && Number.isFinite(x));
+const boolean = is('boolean', x => typeof x === 'boolean');
+const none = is('no payload', x => x === undefined);
+const object = is('object', x => x !== null && typeof x === 'object' && !Array.isArray(x));
+
+const anyOf = (...validators) => is(validators.map(v => v.expected).join(' or '), x => validators.some(v => v.test(x)));
+
+const optional = validator => (value, path) => value === undefined || value === null ? null : validator(value, path);
+
+const arrayOf = validator => (value, path) => {
+  if (!Array.isArray(value)) return `${path}: expected array, got ${describeValue(value)}`;
+
+  for (let i = 0; i < value.length; i++) {
+    const error = validator(value[i], `${path}[${i}]`);
+    if (error) return error;
+  }
+  return null;
+};
+
+const recordOf = validator => (value, path) => object(value, path) || Object.entries(value)
+  .map(([key, item]) => validator(item, `${path}.${key}`))
+  .find(error => error) || null;
+
+// Keys that are not listed are let through, the server may send more than the client needs
+const shape = fields => (value, path) => object(value, path) || Object.entries(fields)
+  .map(([key, validator]) => validator(value[key], `${path}.${key}`))
+  .find(error => error) || null;
+
+const id = anyOf(string, number);
+const score = optional(anyOf(string, number));
+const text = optional(string);
+
+const criterionFields = { id, name: string, type: text, limit: score, step: score, options: text, position: optional(number) };
+const criterion = shape(criterionFields);
+
+const result = shape({ user: id, criterion: id, value: score, token: text });
+
+const judgeResult = shape({ user: id, criterion: id, judge: string, value: score, token: text });
+
+const note = shape({ user: id, criterion: id, value: text, token: text });
+
+const comment = shape({ user: id, value: text, token: text });
+
+const commentPreset = shape({ id, text: string, zero_results: boolean });
+
+const timestamp = optional(anyOf(string, number));
+
+// older servers send only the client id of the holder
+const lockHolder = (value, path) => typeof value === 'string'
+  ? null
+  : shape({ client_id: string, judge: text, at: timestamp })(value, path);
+
+const historyEntry = shape({ user: id, criterion: optional(id), from: score, to: score, author: text, at: timestamp });
+
+const INBOUND = {
+  'app/start': none,
+  'app/ready': shape({ read_only: boolean, contest_name: string, task_name: string, role: text }),
+  'app/finish': none,
+  'app/authenticated': shape({ token: string }),
+
+  'criteria/load': arrayOf(criterion),
+  'criteria/loadPosition': recordOf(number),
+  'criteria/add': shape({ ...criterionFields, token: text }),
+  'criteria/cleanUpdate': shape({ id, token: text, value: object }),
+  'criteria/delete': id,
+
+  'users/load': arrayOf(id),
+  'judges/load': arrayOf(string),
+
+  'results/load': arrayOf(result),
+  'results/reset': result,
+  'results/cleanUpdate': result,
+
+  'judgeResults/load': arrayOf(judgeResult),
+  'judgeResults/reset': judgeResult,
+  'judgeResults/cleanUpdate': judgeResult,
+
+  'comments/load': arrayOf(comment),
+  'comments/reset': comment,
+  'comments/cleanUpdate': comment,
+
+  'notes/load': arrayOf(note),
+  'notes/reset': note,
+  'notes/cleanUpdate': note,
+
+  'commentPresets/load': arrayOf(commentPreset),
+
+  'locks/load': recordOf(lockHolder),
+  'locks/acquire': shape({ lock: string, client_id: string, judge: text, at: timestamp }),
+  'locks/heartbeat': shape({ lock: string }),
+  'locks/release': shape({ lock: string }),
+
+  'resultMultiplier/load': anyOf(string, number),
+  'scoring/load': shape({ mode: text, aggregation: text, threshold: score }),
+
+  'presence/load': recordOf(shape({ judge: text, focus: text })),
+  'presence/update': shape({ client_id: string, judge: text, focus: text }),
+  'presence/leave': shape({ client_id: string }),
+
+  'history/load': arrayOf(historyEntry),
+  'history/push': historyEntry,
+
+  'errors/push': string,
+  'notifications/push': shape({ kind: string, message: string }),
+};
+
+// Returns why the message cannot be dispatched, or null when it is a known action with a valid payload
+export const validateMessage = message => {
+  if (!message || typeof message !== 'object' || typeof message.type !== 'string')
+    return 'the message is not an action';
+
+  const validator = INBOUND[message.type];
+  if (!validator)
+    return `unknown message type ${message.type}`;
+
+  const error = validator(message.payload, 'payload');
+  return error && `${message.type}: ${error}`;
+};
@@ -0,0 +1,54 @@
+import { v4 as uuidv4 } from 'uuid';
+
+import store from '../state';
+import { selectCellValue } from '../state/selectors';
+import api, { waitFor } from './action-cable';
+import { commentLock, resultLock, withLock } from './locks';
+
+const isEmpty = x => x === undefined || x === null || x === '';
+
+export const sameValue = (a, b) => {
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) && isEmpty(b);
+  return String(a) === String(b) || parseFloat(a) === parseFloat(b);
+};
+
+// Writes a shared result under its lock and waits until the server echoes it back.
+// Returns false when the cell is locked by another client.
+export const writeResult = (user, criterion, value) => withLock(resultLock(user, criterion), async () => {
+  api.perform('write_result', { user, criterion, value: String(value), token: uuidv4() });
+
+  try {
+    await waitFor(s => sameValue(s.results[user]?.[criterion]?.value, value));
+  } catch {
+    // the lock is released anyway, the server will still apply the write
+  }
+});
+
+export const writeComment = (user, value) => withLock(commentLock(user), async () => {
+  api.perform('write_comment', { user, value, token: uuidv4() });
+
+  try {
+    await waitFor(s => sameValue(s.comments[user]?.value, value));
+  } catch {
+    // see writeResult
+  }
+});
+
+export const isChanged = (results, user, criterion, value) => !sameValue(results[user]?.[criterion]?.value, value);
+
+// Copies the aggregates of the independent mode into the shared results, which the server finishes the task with
+export const writeAggregates = async () => {
+  const state = store.getState();
+  let skipped = 0;
+
+  for (const user of state.users) {
+    for (const { id } of state.criteria) {
+      const value = selectCellValue(state, user, id);
+      if (value === undefined) continue;
+
+      if (isChanged(state.results, user, id, value) && !(await writeResult(user, id, value))) skipped++;
+    }
+  }
+
+  return skipped;
+};
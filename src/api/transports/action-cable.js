@@ -0,0 +1,26 @@
+import { createConsumer } from '@rails/actioncable';
+
+// The Rails ApiChannel: actions are performed on the channel and it answers with Redux actions
+const actionCableTransport = ({ task, clientId, credentials, received, connected, disconnected, rejected }) => {
+  const url = new URL(process.env.REACT_APP_API_ENDPOINT, window.location.href);
+  url.searchParams.set('task_id', task);
+  url.searchParams.set('client_id', clientId);
+
+  if (credentials.token)
+    url.searchParams.set('token', credentials.token);
+  else
+    url.searchParams.set('password', credentials.password);
+
+  const consumer = createConsumer(url.toString());
+  const subscription = consumer.subscriptions.create(
+    { channel: 'ApiChannel' },
+    { received, connected, disconnected, rejected }
+  );
+
+  return {
+    perform: (action, data) => subscription.perform(action, data),
+    disconnect: () => consumer.disconnect(),
+  };
+};
+
+export default actionCableTransport;
@@ -0,0 +1,18 @@
+import actionCableTransport from './action-cable';
+import localTransport from './local';
+
+const TRANSPORTS = {
+  'action-cable': actionCableTransport,
+  local: localTransport,
+};
+
+// ?transport=local in the url wins over REACT_APP_TRANSPORT, so any build can be switched to the demo server
+export const transportName = new URL(window.location.href).searchParams.get('transport')
+  || process.env.REACT_APP_TRANSPORT
+  || 'action-cable';
+
+// A transport takes the credentials and the connection callbacks and returns { perform(action, data), disconnect() },
+// perform returns false when the action could not be sent
+export const needsLogin = transportName !== 'local';
+
+export const createTransport = options => (TRANSPORTS[transportName] || actionCableTransport)(options);
@@ -0,0 +1,268 @@
+// An in-browser stand-in for the server, for demos, training and development without a backend.
+// It answers actions with the same Redux actions the server broadcasts and keeps its data in localStorage.
+
+import { DEFAULT_COMMENT_PRESETS } from '../../models/comment-presets';
+import { LOCK_TTL } from '../../state/locks';
+
+const LATENCY = 50;
+
+const DEMO = {
+  contest_name: 'Демонстраційне змагання',
+  task_name: 'Демонстраційна задача',
+  read_only: false,
+  criteria: [
+    { id: 1, name: 'Алгоритм / Ідея', type: 'numeric', limit: 5, step: 1 },
+    { id: 2, name: 'Алгоритм / Реалізація', type: 'numeric', limit: 5, step: 0.5 },
+    { id: 3, name: 'Тести', type: 'options', options: '0 / 2 / 5' },
+    { id: 4, name: 'Оформлення', type: 'boolean', limit: 2 },
+    { id: 5, name: 'Запізнення', type: 'penalty', limit: 3, step: 1 },
+  ],
+  users: Array.from({ length: 12 }, (_, i) => `D${String(i + 1).padStart(3, '0')}`),
+  judges: ['Журі 1', 'Журі 2'],
+  results: {},
+  comments: {},
+  notes: {},
+  commentPresets: DEFAULT_COMMENT_PRESETS,
+  judgeResults: {},
+  resultMultiplier: '1',
+  scoring: { mode: 'shared', aggregation: 'mean', threshold: '' },
+  history: [],
+  nextId: 6,
+};
+
+// whoever runs the demo is its chair, ?role=judge tries it out as an ordinary judge
+const role = new URL(window.location.href).searchParams.get('role') === 'judge' ? 'judge' : 'chair';
+
+const MAX_HISTORY = 1000;
+
+const resultKey = (user, criterion, judge) => judge ? `${user}:${criterion}:${judge}` : `${user}:${criterion}`;
+
+const storageKey = task => `local-server:${task}`;
+
+const demo = () => JSON.parse(JSON.stringify(DEMO));
+
+const load = task => {
+  try {
+    return { ...demo(), ...JSON.parse(localStorage.getItem(storageKey(task))) };
+  } catch {
+    return demo();
+  }
+};
+
+const localTransport = ({ task, clientId, received, connected }) => {
+  const db = load(task);
+  const locks = {};
+  const presence = {};
+
+  const save = () => localStorage.setItem(storageKey(task), JSON.stringify(db));
+  const emit = (type, payload) => received({ type, payload });
+  const error = message => emit('errors/push', message);
+
+  const heldByOther = lock => locks[lock] && locks[lock].client_id !== clientId;
+
+  const grant = (lock, judge) => {
+    locks[lock] = { client_id: clientId, judge: judge ?? null, at: new Date().toISOString(), seen: Date.now() };
+    const { seen, ...holder } = locks[lock];
+    emit('locks/acquire', { lock, ...holder });
+  };
+
+  const record = (user, criterion, from, to) => {
+    db.history.push({ user, criterion, from, to, author: clientId, at: new Date().toISOString() });
+    if (db.history.length > MAX_HISTORY) db.history.shift();
+  };
+
+  const setResult = (user, criterion, value, { token, type = 'results/cleanUpdate' } = {}) => {
+    const key = resultKey(user, criterion);
+    record(user, criterion, db.results[key]?.value, value);
+    db.results[key] = { user, criterion, value };
+    emit(type, { user, criterion, value, token, client_id: clientId });
+  };
+
+  const positions = () => Object.fromEntries(db.criteria.map((c, position) => [c.id, position]));
+
+  const sendAll = () => {
+    emit('app/start');
+    emit('criteria/load', db.criteria.map((c, position) => ({ ...c, position })));
+    emit('users/load', db.users);
+    emit('judges/load', db.judges);
+    emit('resultMultiplier/load', db.resultMultiplier);
+    emit('scoring/load', db.scoring);
+    emit('results/load', Object.values(db.results));
+    emit('judgeResults/load', Object.values(db.judgeResults));
+    emit('comments/load', Object.entries(db.comments).map(([user, value]) => ({ user, value })));
+    emit('notes/load', Object.values(db.notes));
+    emit('commentPresets/load', db.commentPresets);
+    emit('locks/load', Object.fromEntries(Object.entries(locks).map(([lock, { seen, ...holder }]) => [lock, holder])));
+    emit('presence/load', { ...presence });
+    emit('history/load', db.history);
+    emit('app/ready', { read_only: db.read_only, contest_name: db.contest_name, task_name: db.task_name, role });
+  };
+
+  const ACTIONS = {
+    acquire_lock: ({ lock, judge }) => {
+      if (!heldByOther(lock)) grant(lock, judge);
+    },
+
+    steal_lock: ({ lock, judge }) => {
+      if (role !== 'chair') return error('Only the chair can take over a lock');
+      grant(lock, judge);
+    },
+
+    heartbeat_lock: ({ lock }) => {
+      if (heldByOther(lock) || !locks[lock]) return;
+      locks[lock].seen = Date.now();
+      emit('locks/heartbeat', { lock });
+    },
+
+    presence: ({ judge, focus }) => {
+      presence[clientId] = { judge, focus };
+      emit('presence/update', { client_id: clientId, judge, focus });
+    },
+
+    release_lock: ({ lock }) => {
+      if (!locks[lock] || heldByOther(lock)) return;
+      delete locks[lock];
+      emit('locks/release', { lock });
+    },
+
+    write_result: ({ user, criterion, value, token }) => {
+      if (heldByOther(`${task}:${user}:${criterion}`)) return error('The cell is locked by another judge');
+      setResult(user, criterion, value, { token });
+    },
+
+    reset_result: ({ user, criterion }) =>
+      emit('results/reset', { user, criterion, value: db.results[resultKey(user, criterion)]?.value ?? '' }),
+
+    write_judge_result: ({ user, criterion, judge, value, token }) => {
+      db.judgeResults[resultKey(user, criterion, judge)] = { user, criterion, judge, value };
+      emit('judgeResults/cleanUpdate', { user, criterion, judge, value, token, client_id: clientId });
+    },
+
+    reset_judge_result: ({ user, criterion, judge }) =>
+      emit('judgeResults/reset', { user, criterion, judge, value: db.judgeResults[resultKey(user, criterion, judge)]?.value ?? '' }),
+
+    write_comment: ({ user, value, token }) => {
+      if (heldByOther(`${task}:${user}:comment`)) return error('The comment is locked by another judge');
+      record(user, null, db.comments[user], value);
+      db.comments[user] = value;
+      emit('comments/cleanUpdate', { user, value, token, client_id: clientId });
+    },
+
+    reset_comment: ({ user }) => emit('comments/reset', { user, value: db.comments[user] ?? '' }),
+
+    write_note: ({ user, criterion, value, token }) => {
+      if (heldByOther(`${task}:${user}:${criterion}:note`)) return error('The note is locked by another judge');
+      db.notes[resultKey(user, criterion)] = { user, criterion, value };
+      emit('notes/cleanUpdate', { user, criterion, value, token, client_id: clientId });
+    },
+
+    reset_note: ({ user, criterion }) =>
+      emit('notes/reset', { user, criterion, value: db.notes[resultKey(user, criterion)]?.value ?? '' }),
+
+    zero_results: ({ user }) => {
+      for (const { id } of db.criteria) setResult(user, id, 0, { type: 'results/reset' });
+    },
+
+    zero_no_solution: () => {
+      for (const user of db.users) {
+        if (db.criteria.some(c => db.results[resultKey(user, c.id)] !== undefined)) continue;
+        for (const { id } of db.criteria) setResult(user, id, 0, { type: 'results/reset' });
+      }
+    },
+
+    add_criterion: ({ token } = {}) => {
+      const criterion = { id: db.nextId++, name: '', type: 'numeric', limit: 0, step: null, options: '' };
+      db.criteria.push(criterion);
+      emit('criteria/add', { ...criterion, position: db.criteria.length - 1, token });
+    },
+
+    update_criterion: ({ id, token, params }) => {
+      const criterion = db.criteria.find(c => c.id === id);
+      if (!criterion) return error(`Criterion ${id} does not exist`);
+      Object.assign(criterion, params);
+      emit('criteria/cleanUpdate', { id, token, value: params });
+    },
+
+    delete_criterion: ({ id }) => {
+      if (Object.values(db.results).some(r => r.criterion === id))
+        return error('The criterion already has results');
+      db.criteria = db.criteria.filter(c => c.id !== id);
+      emit('criteria/delete', id);
+    },
+
+    drag_drop: ({ from, to }) => {
+      const [criterion] = db.criteria.splice(from, 1);
+      db.criteria.splice(to, 0, criterion);
+      emit('criteria/loadPosition', positions());
+    },
+
+    write_result_multiplier: ({ value }) => {
+      db.resultMultiplier = value;
+      emit('resultMultiplier/load', value);
+    },
+
+    write_scoring: params => {
+      db.scoring = { ...db.scoring, ...params };
+      emit('scoring/load', db.scoring);
+    },
+
+    write_comment_presets: ({ value }) => {
+      if (role !== 'chair') return error('Only the chair can change the comment presets');
+      db.commentPresets = value;
+      emit('commentPresets/load', value);
+    },
+
+    add_judge: ({ value }) => {
+      if (!value || db.judges.includes(value)) return error('The judge already exists');
+      db.judges = [...db.judges, value];
+      emit('judges/load', db.judges);
+    },
+
+    delete_judge: ({ value, index }) => {
+      if (db.judges[index] !== value) return error('The judges list has changed, try again');
+      db.judges = db.judges.filter((_, i) => i !== index);
+      emit('judges/load', db.judges);
+    },
+
+    finish: () => {
+      db.read_only = true;
+      emit('app/finish');
+    },
+  };
+
+  // nothing of these changes the data, so a finished task still accepts them
+  const READ_ONLY_ACTIONS = [
+    'acquire_lock', 'steal_lock', 'heartbeat_lock', 'release_lock', 'presence',
+    'reset_result', 'reset_judge_result', 'reset_comment', 'reset_note',
+  ];
+
+  const handle = (action, data) => {
+    if (!ACTIONS[action]) return error(`Unknown action ${action}`);
+    if (db.read_only && !READ_ONLY_ACTIONS.includes(action)) return error('The task is finished');
+
+    ACTIONS[action](data);
+    save();
+  };
+
+  const expireLocks = () => {
+    for (const [lock, { seen }] of Object.entries(locks)) {
+      if (Date.now() - seen <= LOCK_TTL) continue;
+      delete locks[lock];
+      emit('locks/release', { lock });
+    }
+  };
+
+  let open = true;
+  setTimeout(() => { if (open) { connected(); sendAll(); } }, LATENCY);
+  const expiry = setInterval(expireLocks, LOCK_TTL / 4);
+
+  return {
+    perform: (action, data) => {
+      setTimeout(() => open && handle(action, data), LATENCY);
+      return open;
+    },
+    disconnect: () => { open = false; clearInterval(expiry); },
+  };
+};
+
+export default localTransport;
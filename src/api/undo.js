@@ -0,0 +1,64 @@
+import { t } from '../i18n';
+import store from '../state';
+import notificationsSlice from '../state/notifications';
+import undoSlice from '../state/undo';
+import { sameValue, writeComment, writeResult } from './results';
+
+let busy = false;
+
+const currentValue = (state, { kind, user, criterion }) =>
+  kind === 'comment' ? state.comments[user]?.value : state.results[user]?.[criterion]?.value;
+
+const warn = message => store.dispatch(notificationsSlice.actions.push({ kind: 'warn', message }));
+
+// The protocol cannot empty a result cell again, so filling an empty one is not undoable
+const undoable = c => c.kind === 'comment' || !sameValue(c.before, '');
+
+// An operation is a list of cell changes, e.g. one edited cell or a whole row zeroed with a comment
+export const recordOperation = changes => {
+  const effective = changes.filter(c => !sameValue(c.before, c.after) && undoable(c));
+  if (effective.length) store.dispatch(undoSlice.actions.record({ changes: effective }));
+};
+
+const apply = async ({ changes }, expected, target) => {
+  const state = store.getState();
+  if (changes.some(c => !sameValue(currentValue(state, c), c[expected]))) {
+    warn(t('toast.undoConflict'));
+    return false;
+  }
+
+  let skipped = 0;
+  for (const change of changes) {
+    const { kind, user, criterion } = change;
+    const written = kind === 'comment'
+      ? await writeComment(user, change[target] ?? '')
+      : await writeResult(user, criterion, change[target] ?? '');
+    if (!written) skipped++;
+  }
+
+  if (skipped) warn(t('toast.undoSkipped', { skipped }));
+  return !skipped;
+};
+
+const run = async (stack, move, expected, target) => {
+  if (busy) return;
+
+  // let a focused cell finish its edit first, it becomes the newest operation on blur
+  document.activeElement?.blur();
+
+  const operation = store.getState().undo[stack].at(-1);
+  if (!operation) return;
+
+  busy = true;
+  try {
+    store.dispatch(move());
+    if (!(await apply(operation, expected, target)))
+      store.dispatch(undoSlice.actions.discard({ from: stack === 'past' ? 'future' : 'past' }));
+  } finally {
+    busy = false;
+  }
+};
+
+export const undo = () => run('past', undoSlice.actions.undone, 'after', 'before');
+
+export const redo = () => run('future', undoSlice.actions.redone, 'before', 'after');
@@ -1,27 +1,75 @@
-import { useState } from 'react';
+import { useEffect } from 'react';
 import { useSelector } from 'react-redux';
 
+import { needsLogin } from './api/transports';
+import LanguageSelect from './components/language-select';
+import LogoutButton from './components/logout-button';
+import PresenceBar from './components/presence-bar';
+import { useTranslation } from './i18n';
 import CriteriaEditPage from './pages/criteria-edit-page';
+import LoginPage from './pages/login-page';
 import ResultsEditPage from './pages/results-edit-page';
+import StatisticsPage from './pages/statistics-page';
+import { navigate, useRoute } from './utils/routing';
 
-const App = () => {
-  const isReady = useSelector(s => s.app.isReady);
-  const [step, setStep] = useState('criteria');
+const goToResults = () => navigate('results');
 
-  if (!isReady) {
-    return <p>Loading ...</p>;
-  }
+const PAGES = ['criteria', 'results', 'statistics'];
+// a finished task can still be looked at, but not set up again
+const READ_ONLY_PAGES = ['results', 'statistics'];
 
-  switch (step) {
+const Page = ({ route }) => {
+  switch (route.page) {
     case 'criteria':
-      return <CriteriaEditPage next={() => setStep('results')} />;
+      return <CriteriaEditPage next={goToResults} />;
 
     case 'results':
-      return <ResultsEditPage />;
+      return <ResultsEditPage highlightUser={route.user} highlightCriterion={route.criterion} />;
+
+    case 'statistics':
+      return <StatisticsPage />;
 
     default:
       return null;
   }
 };
 
+const App = () => {
+  const isReady = useSelector(s => s.app.isReady);
+  const readOnly = useSelector(s => s.app.readOnly);
+  const login = useSelector(s => s.app.login);
+  const route = useRoute();
+  const t = useTranslation();
+
+  // a mistyped hash lands on the page the task would open with
+  useEffect(
+    () => {
+      if (!isReady) return;
+
+      if (readOnly && !READ_ONLY_PAGES.includes(route.page))
+        navigate('results', { replace: true });
+      else if (!PAGES.includes(route.page))
+        navigate('criteria', { replace: true });
+    },
+    [isReady, readOnly, route.page]
+  );
+
+  if (needsLogin && login !== 'accepted') {
+    return <LoginPage />;
+  }
+
+  if (!isReady) {
+    return <p>{t('app.loading')}</p>;
+  }
+
+  return <>
+    <div className='d-flex gap-2 align-items-center px-2 pt-2'>
+      <PresenceBar />
+      <LanguageSelect />
+      {needsLogin && <LogoutButton />}
+    </div>
+    <Page route={route} />
+  </>;
+};
+
 export default App;
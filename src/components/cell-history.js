@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { shallowEqual, useSelector } from 'react-redux';
+import { ClockHistory } from 'react-bootstrap-icons';
+
+import { clientId } from '../api/action-cable';
+import { useTranslation } from '../i18n';
+import { historyKey } from '../state/history';
+import { displayName } from './presence-bar';
+
+const CLIENT_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// The server names the author by judge when it knows one, otherwise by the id of the client that wrote
+const formatAuthor = (author, names, t) => {
+  if (!author) return '—';
+  if (author === clientId) return t('history.you');
+  return CLIENT_ID.test(author) ? displayName(author, { judge: names[author] }, t) : author;
+};
+
+const formatValue = value => value === '' ? '∅' : value;
+
+const CellHistory = ({ user, criterion }) => {
+  const entries = useSelector(s => s.history.cells[historyKey(user, criterion)], shallowEqual);
+  const names = useSelector(s => s.history.names);
+  const locale = useSelector(s => s.locale);
+  const t = useTranslation();
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  const toggle = useCallback(() => setOpen(o => !o), [setOpen]);
+
+  useEffect(
+    () => {
+      if (!open) return;
+
+      const onClick = e => ref.current && !ref.current.contains(e.target) && setOpen(false);
+      document.addEventListener('mousedown', onClick);
+      return () => document.removeEventListener('mousedown', onClick);
+    },
+    [open, setOpen]
+  );
+
+  if (!entries?.length) return null;
+
+  return (
+    <div ref={ref} className='cell-history'>
+      <button type='button' className='cell-history__toggle btn btn-link p-0' tabIndex={-1}
+        title={t('history.title')} onClick={toggle}>
+        <ClockHistory size={12} />
+      </button>
+
+      {open && <div className='cell-history__popover shadow'>
+        <table className='table table-sm mb-0'>
+          <tbody>
+            {entries.slice().reverse().map((entry, i) => (
+              <tr key={i}>
+                <td className='text-nowrap'>{new Date(entry.at).toLocaleString(locale)}</td>
+                <td>{formatAuthor(entry.author, names, t)}</td>
+                <td>{formatValue(entry.from)} → {formatValue(entry.to)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>}
+    </div>
+  );
+};
+
+export default CellHistory;
@@ -1,24 +1,36 @@
-import { useCallback, useEffect, useState } from 'react';
-import { useSelector, useDispatch } from 'react-redux';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useSelector, useDispatch, useStore } from 'react-redux';
 import classNames from 'classnames';
 import TextareaAutosize from 'react-textarea-autosize';
 
-import api, { clientId, task } from '../api/action-cable';
+import api, { clientId } from '../api/action-cable';
+import { acquireLock, commentLock, releaseLock } from '../api/locks';
+import { blurCell, focusCell } from '../api/presence';
+import { recordOperation } from '../api/undo';
+import { useTranslation } from '../i18n';
 import commentsSlice from '../state/comments';
-
-const DEFAULT_COMMENTS = ['Немає роботи', 'Робота з умови', 'Пустий файл',
-                          'Пустий файл 0 Кб. Не відкривається.', 'Не відкривається (не пустий файл)'];
+import CellHistory from './cell-history';
+import LockOwner from './lock-owner';
+import { editorOutline, useCellEditor } from './presence-bar';
 
 const ResultForm = ({ user }) => {
-  const lock = `${task}:${user}:comment`;
+  const lock = commentLock(user);
   const readOnly = useSelector(s => s.app.readOnly);
   const comment = useSelector(s => s.comments[user]);
-  const lockedId = useSelector(s => s.locks[lock]);
+  const lockedId = useSelector(s => s.locks[lock]?.client_id);
+  const connected = useSelector(s => s.app.connected);
+  const presets = useSelector(s => s.commentPresets);
+  const editor = useCellEditor(lock);
+  const t = useTranslation();
   const dispatch = useDispatch();
+  const store = useStore();
   const [focused, setFocused] = useState(false);
+  const valueOnFocus = useRef('');
 
   const { value, dirty } = comment || { value: '' };
   const lockAcquired = lockedId === clientId;
+  // offline the lock cannot be granted, the queued write is settled by the server on replay
+  const canEdit = lockAcquired || (!lockedId && !connected);
   const status = focused ? (lockAcquired ? (dirty ? 'warning' : 'success') : 'danger') : (dirty ? 'danger' : 'success');
   const inputClassName = classNames('form-control', 'border', {
     'border-danger': status === 'danger',
@@ -28,26 +40,45 @@ const ResultForm = ({ user }) => {
   });
 
   const onFocus = useCallback(
-    () => { setFocused(true); api.perform('acquire_lock', { lock }); },
-    [lock, setFocused]
+    () => { valueOnFocus.current = value; setFocused(true); acquireLock(lock); focusCell(lock); },
+    [lock, value, setFocused]
   );
 
   const onBlur = useCallback(
-    () => { setFocused(false); api.perform('release_lock', { lock }); },
-    [lock, setFocused]
+    () => {
+      setFocused(false);
+      if (lockAcquired)
+        recordOperation([{ kind: 'comment', user, before: valueOnFocus.current, after: value }]);
+    },
+    [user, value, lockAcquired, setFocused]
   );
 
   const onChange = useCallback(
-    e => lockAcquired && dispatch(commentsSlice.actions.dirtyUpdate({ user, value: e.target.value })),
-    [user, dispatch, lockAcquired]
+    e => canEdit && dispatch(commentsSlice.actions.dirtyUpdate({ user, value: e.target.value })),
+    [user, dispatch, canEdit]
   );
 
-  const onDropdownItemClick = useCallback(
-    e => {
-      api.perform('write_comment', { user, value: e.target.innerText });
-      api.perform('zero_results', { user });
+  const onPresetClick = useCallback(
+    ({ text, zero_results }) => {
+      const { comments, criteria, results } = store.getState();
+      recordOperation([
+        { kind: 'comment', user, before: comments[user]?.value, after: text },
+        ...(zero_results ? criteria : []).map(({ id }) =>
+          ({ kind: 'result', user, criterion: id, before: results[user]?.[id]?.value, after: 0 })),
+      ]);
+
+      api.perform('write_comment', { user, value: text });
+      if (zero_results) api.perform('zero_results', { user });
+    },
+    [user, store]
+  );
+
+  // the lock follows the focus state: a row scrolled out of the virtualized table unmounts without a blur event
+  useEffect(
+    () => {
+      if (focused) return () => { releaseLock(lock); blurCell(lock); };
     },
-    [user]
+    [focused, lock]
   );
 
   useEffect(
@@ -57,20 +88,20 @@ const ResultForm = ({ user }) => {
 
   useEffect(
     () => {
-      if (dirty && !lockAcquired) {
+      if (dirty && !lockAcquired && connected) {
         const timeout = setTimeout(() => api.perform('reset_comment', { user }), 10000);
         return () => clearTimeout(timeout);
       }
     },
-    [user, dirty, lockAcquired]
+    [user, dirty, lockAcquired, connected]
   );
 
   if (readOnly) {
-    return <div>{value}</div>;
+    return <div className='position-relative'>{value}<CellHistory user={user} /></div>;
   }
 
   return (
-    <div className='position-relative'>
+    <div className='position-relative' style={editorOutline(editor)} title={editor ? t('presence.here', { name: editor.name }) : undefined}>
       <div className='input-group' style={{ minWidth: 400 }}>
         <TextareaAutosize
           className={inputClassName}
@@ -79,25 +110,28 @@ const ResultForm = ({ user }) => {
           onChange={onChange}
           onFocus={onFocus}
           onBlur={onBlur} />
-        {!value && !dirty && <>
+        {!value && !dirty && presets.length > 0 && <>
           <button
             className='btn btn-outline-secondary dropdown-toggle'
             type='button'
             data-bs-toggle='dropdown' />
           <ul className='dropdown-menu dropdown-menu-end'>
-            {DEFAULT_COMMENTS.map((c, i) => <li key={i}>
-              <button className='dropdown-item' onClick={onDropdownItemClick}>
-                {c}
+            {presets.map(preset => <li key={preset.id}>
+              <button className='dropdown-item' onClick={() => onPresetClick(preset)}>
+                {preset.text}
+                {preset.zero_results && <span className='text-muted small'> · {t('comment.zeroes')}</span>}
               </button>
             </li>)}
           </ul>
         </>}
       </div>
+      <CellHistory user={user} />
+      {lockedId && !lockAcquired && <LockOwner lock={lock} />}
 
       {focused && <div className={`status-notice status-notice__${status}`}>
-        {status === 'danger' && 'Acquiring lock ...'}
-        {status === 'warning' && 'Saving ...'}
-        {status === 'success' && 'Ready'}
+        {status === 'danger' && t('cell.acquiringLock')}
+        {status === 'warning' && t('cell.saving')}
+        {status === 'success' && t('cell.ready')}
       </div>}
     </div>
   );
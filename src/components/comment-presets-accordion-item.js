@@ -0,0 +1,137 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
+import { PlusSquareFill, Trash } from 'react-bootstrap-icons';
+import { v4 as uuidv4 } from 'uuid';
+
+import api from '../api/action-cable';
+import { useTranslation } from '../i18n';
+import commentPresetsSlice from '../state/comment-presets';
+
+// The whole list is sent on every change, the server broadcasts it back to all judges
+const useSavePresets = () => {
+  const dispatch = useDispatch();
+
+  return useCallback(
+    presets => {
+      dispatch(commentPresetsSlice.actions.load(presets));
+      api.perform('write_comment_presets', { value: presets });
+    },
+    [dispatch]
+  );
+};
+
+const PresetForm = ({ preset, disabled, onChange, onDelete }) => {
+  const [text, setText] = useState(preset.text);
+  const t = useTranslation();
+
+  useEffect(() => setText(preset.text), [preset.text]);
+
+  const onTextChange = useCallback(e => setText(e.target.value), [setText]);
+  const onTextBlur = useCallback(
+    () => text.trim() && text !== preset.text ? onChange({ ...preset, text: text.trim() }) : setText(preset.text),
+    [text, preset, onChange]
+  );
+  const onZeroChange = useCallback(e => onChange({ ...preset, zero_results: e.target.checked }), [preset, onChange]);
+
+  return (
+    <div className='input-group mb-1'>
+      <input className='form-control' value={text} disabled={disabled} onChange={onTextChange} onBlur={onTextBlur} />
+      <label className='input-group-text gap-2'>
+        <input className='form-check-input mt-0' type='checkbox' checked={preset.zero_results} disabled={disabled}
+          onChange={onZeroChange} />
+        {t('presets.zeroes')}
+      </label>
+      <button className='btn btn-outline-danger' disabled={disabled} onClick={() => onDelete(preset)}>
+        <Trash />
+      </button>
+    </div>
+  );
+};
+
+const CommentPresetsAccordionItem = () => {
+  const readOnly = useSelector(s => s.app.readOnly);
+  const chair = useSelector(s => s.app.chair);
+  const presets = useSelector(s => s.commentPresets);
+  const save = useSavePresets();
+  const [newText, setNewText] = useState('');
+  const t = useTranslation();
+
+  const disabled = readOnly || !chair;
+
+  const handleOnDragEnd = useCallback(
+    ({ source, destination }) => {
+      if (!destination) return;
+
+      const reordered = [...presets];
+      const [moved] = reordered.splice(source.index, 1);
+      reordered.splice(destination.index, 0, moved);
+      save(reordered);
+    },
+    [presets, save]
+  );
+
+  const onChange = useCallback(preset => save(presets.map(p => p.id === preset.id ? preset : p)), [presets, save]);
+  const onDelete = useCallback(
+    preset => window.confirm(t('presets.deleteConfirm', { text: preset.text })) && save(presets.filter(p => p.id !== preset.id)),
+    [presets, save, t]
+  );
+
+  const onNewTextChange = useCallback(e => setNewText(e.target.value), [setNewText]);
+  const addPreset = useCallback(
+    e => {
+      e.preventDefault();
+      if (!newText.trim()) return;
+
+      save([...presets, { id: uuidv4(), text: newText.trim(), zero_results: false }]);
+      setNewText('');
+    },
+    [newText, presets, save, setNewText]
+  );
+
+  return (
+    <div className='accordion-item'>
+      <h2 className='accordion-header'>
+        <button className='accordion-button collapsed' type='button' data-bs-toggle='collapse' data-bs-target='#comment-presets'
+          aria-expanded='false' aria-controls='comment-presets'>
+          {t('presets.title')}
+        </button>
+      </h2>
+
+      <div id='comment-presets' className='accordion-collapse collapse' data-bs-parent='#page-accordion'>
+        <div className='accordion-body'>
+          {!chair && <p className='text-muted small'>{t('presets.chairOnly')}</p>}
+
+          <DragDropContext onDragEnd={handleOnDragEnd}>
+            <Droppable droppableId='comment-presets'>
+              {drop => (
+                <div {...drop.droppableProps} ref={drop.innerRef}>
+                  {presets.map((preset, index) => (
+                    <Draggable key={preset.id} draggableId={preset.id.toString()} index={index} isDragDisabled={disabled}>
+                      {drag => (
+                        <div ref={drag.innerRef} {...drag.draggableProps} {...drag.dragHandleProps}>
+                          <PresetForm preset={preset} disabled={disabled} onChange={onChange} onDelete={onDelete} />
+                        </div>
+                      )}
+                    </Draggable>
+                  ))}
+                  {drop.placeholder}
+                </div>
+              )}
+            </Droppable>
+          </DragDropContext>
+
+          <form className='input-group mt-2' onSubmit={addPreset}>
+            <input className='form-control' placeholder={t('presets.new')} value={newText} disabled={disabled}
+              onChange={onNewTextChange} />
+            <button className='btn btn-secondary' type='submit' disabled={disabled || !newText.trim()}>
+              {t('presets.add')} <PlusSquareFill />
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommentPresetsAccordionItem;
@@ -4,6 +4,7 @@ import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
 import { PlusSquareFill } from 'react-bootstrap-icons';
 
 import api from '../api/action-cable';
+import { useTranslation } from '../i18n';
 import criteriaSlice from '../state/criteria';
 
 import CriterionForm from './criterion-form';
@@ -13,6 +14,7 @@ const CriteriaListAccordionItem = () => {
   const readOnly = useSelector(s => s.app.readOnly);
   const criteriaIds = useSelector(s => s.criteria.map(c => c.id), shallowEqual);
   const dispatch = useDispatch();
+  const t = useTranslation();
 
   const handleOnDragEnd = useCallback(
     ({ source: { index: from }, destination: { index: to } }) => {
@@ -29,7 +31,7 @@ const CriteriaListAccordionItem = () => {
       <h2 className='accordion-header'>
         <button className='accordion-button collapsed' type='button' data-bs-toggle='collapse' data-bs-target='#criteria-list'
           aria-expanded='false' aria-controls='criteria-list'>
-          Критерії
+          {t('criteria.title')}
         </button>
       </h2>
 
@@ -55,7 +57,7 @@ const CriteriaListAccordionItem = () => {
           </DragDropContext>
 
           <button className='btn btn-secondary mt-1 d-block w-100 text-center' onClick={addCriterion} disabled={readOnly}>
-            Додати критерій <PlusSquareFill />
+            {t('criteria.add')} <PlusSquareFill />
           </button>
         </div>
       </div>
@@ -0,0 +1,155 @@
+import { useCallback, useMemo, useRef, useState } from 'react';
+import { shallowEqual, useSelector } from 'react-redux';
+import { Download, Upload } from 'react-bootstrap-icons';
+import { isEmpty } from 'lodash';
+
+import { applyTemplate } from '../api/criteria';
+import { useTranslation } from '../i18n';
+import { buildTemplate, diffTemplate, exportTemplateJSON, exportTemplateXLSX, readTemplate } from '../utils/criteria-template';
+
+const CHANGE_COLORS = {
+  add: 'success',
+  update: 'warning',
+  delete: 'danger',
+  blocked: 'secondary',
+  keep: 'light',
+};
+
+const CriteriaTemplateAccordionItem = () => {
+  const readOnly = useSelector(s => s.app.readOnly);
+  const connected = useSelector(s => s.app.connected);
+  const taskName = useSelector(s => s.app.task_name);
+  const criteria = useSelector(s => s.criteria, shallowEqual);
+  const resultMultiplier = useSelector(s => s.resultMultiplier);
+  const usedIds = useSelector(
+    s => s.criteria.map(c => c.id).filter(id =>
+      Object.values(s.results).some(r => r[id]) || Object.values(s.judgeResults).some(r => !isEmpty(r[id]))),
+    shallowEqual
+  );
+  const [template, setTemplate] = useState(null);
+  const [error, setError] = useState(null);
+  const [mode, setMode] = useState('append');
+  const [running, setRunning] = useState(false);
+  const fileInputRef = useRef(null);
+  const t = useTranslation();
+
+  const fileName = `${taskName || 'criteria'} - ${t('template.fileSuffix')}`;
+  const onExportJSON = useCallback(
+    () => exportTemplateJSON(buildTemplate(criteria, resultMultiplier), fileName),
+    [criteria, resultMultiplier, fileName]
+  );
+  const onExportXLSX = useCallback(
+    () => exportTemplateXLSX(buildTemplate(criteria, resultMultiplier), fileName),
+    [criteria, resultMultiplier, fileName]
+  );
+
+  const onFileChange = useCallback(
+    async e => {
+      const file = e.target.files[0];
+      setTemplate(null);
+      setError(null);
+      if (!file) return;
+
+      try {
+        setTemplate(await readTemplate(file));
+      } catch {
+        setError('template.unreadable');
+      }
+    },
+    [setTemplate, setError]
+  );
+
+  const onModeChange = useCallback(e => setMode(e.target.value), [setMode]);
+
+  const changes = useMemo(
+    () => template && diffTemplate(template, criteria, usedIds, mode),
+    [template, criteria, usedIds, mode]
+  );
+  const multiplierChanged = template?.resultMultiplier != null && template.resultMultiplier !== resultMultiplier;
+  const hasChanges = multiplierChanged || changes?.some(c => c.kind !== 'keep' && c.kind !== 'blocked');
+
+  const performApply = useCallback(
+    async () => {
+      setRunning(true);
+      try {
+        await applyTemplate(changes, template.resultMultiplier, mode);
+        setTemplate(null);
+        fileInputRef.current.value = '';
+      } catch {
+        setError('template.notConfirmed');
+      } finally {
+        setRunning(false);
+      }
+    },
+    [changes, template, mode, setTemplate, setError, setRunning]
+  );
+
+  return (
+    <div className='accordion-item'>
+      <h2 className='accordion-header'>
+        <button className='accordion-button collapsed' type='button' data-bs-toggle='collapse' data-bs-target='#criteria-template'
+          aria-expanded='false' aria-controls='criteria-template'>
+          {t('template.title')}
+        </button>
+      </h2>
+
+      <div id='criteria-template' className='accordion-collapse collapse' data-bs-parent='#page-accordion'>
+        <div className='accordion-body'>
+          <div className='d-flex gap-2 mb-3'>
+            <button className='btn btn-outline-primary flex-grow-1' onClick={onExportJSON} disabled={!criteria.length}>
+              {t('template.exportJSON')} <Download />
+            </button>
+            <button className='btn btn-outline-primary flex-grow-1' onClick={onExportXLSX} disabled={!criteria.length}>
+              {t('template.exportXLSX')} <Download />
+            </button>
+          </div>
+
+          <input ref={fileInputRef} className='form-control mb-2' type='file' accept='.json,.xlsx,.xls'
+            disabled={readOnly || running} onChange={onFileChange} />
+
+          <div className='mb-2'>
+            <div className='form-check form-check-inline'>
+              <input className='form-check-input' type='radio' id='template-mode-append' value='append'
+                checked={mode === 'append'} disabled={running} onChange={onModeChange} />
+              <label className='form-check-label' htmlFor='template-mode-append'>{t('template.append')}</label>
+            </div>
+            <div className='form-check form-check-inline'>
+              <input className='form-check-input' type='radio' id='template-mode-replace' value='replace'
+                checked={mode === 'replace'} disabled={running} onChange={onModeChange} />
+              <label className='form-check-label' htmlFor='template-mode-replace'>{t('template.replace')}</label>
+            </div>
+          </div>
+
+          {error && <div className='alert alert-danger'>{t(error)}</div>}
+
+          {changes && <ul className='list-group mb-2'>
+            {changes.map((change, i) => {
+              const color = CHANGE_COLORS[change.kind];
+              return (
+                <li key={i} className='list-group-item d-flex justify-content-between align-items-center'>
+                  <span>
+                    {change.name}{change.type !== 'numeric' && ` · ${t(`criteria.type.${change.type}`)}`}
+                    {' '}({change.type === 'options' ? change.options : (change.kind === 'update' ? `${change.oldLimit} → ${change.limit}` : change.limit)}
+                    {change.kind === 'update' && String(change.oldStep ?? '') !== String(change.step) && `, ${t('template.stepChange', { from: change.oldStep ?? '', to: change.step })}`})
+                  </span>
+                  <span className={`badge bg-${color} ${color === 'light' ? 'text-dark' : ''}`}>{t(change.oldType ? 'template.change.blockedType' : `template.change.${change.kind}`)}</span>
+                </li>
+              );
+            })}
+            {multiplierChanged && <li className='list-group-item d-flex justify-content-between align-items-center'>
+              <span>{t('multiplier.title')}: {resultMultiplier} → {template.resultMultiplier}</span>
+              <span className='badge bg-warning'>{t('template.willChange')}</span>
+            </li>}
+          </ul>}
+
+          {template && <button className='btn btn-primary d-block w-100 text-center' onClick={performApply}
+            disabled={readOnly || !connected || running || !hasChanges}>
+            {t('template.apply')} <Upload />
+          </button>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CriteriaTemplateAccordionItem;
@@ -1,19 +1,29 @@
 import { useCallback, useEffect } from 'react';
+import { isEmpty } from 'lodash';
 import { GripVertical, Trash } from 'react-bootstrap-icons';
 import { shallowEqual, useDispatch, useSelector } from 'react-redux';
 
 import api from '../api/action-cable';
+import { useTranslation } from '../i18n';
+import { CRITERION_TYPES, criterionType, isDiscrete } from '../models/criterion';
 import criteriaSlice from '../state/criteria';
 
 const CriterionForm = ({ id }) => {
   const readOnly = useSelector(s => s.app.readOnly);
-  const { name, limit, dirty } = useSelector(s => s.criteria.find(c => c.id === id), shallowEqual);
-  const deleteDisabled = useSelector(s => Object.values(s.results).some(r => r[id])) || readOnly
+  const criterion = useSelector(s => s.criteria.find(c => c.id === id), shallowEqual);
+  const hasResults = useSelector(
+    s => Object.values(s.results).some(r => r[id]) || Object.values(s.judgeResults).some(r => !isEmpty(r[id]))
+  );
+  const deleteDisabled = hasResults || readOnly
   const dispatch = useDispatch();
+  const t = useTranslation();
+
+  const { name, limit, step, options, dirty } = criterion;
+  const type = criterionType(criterion);
 
   const performDelete = useCallback(
-    () => window.confirm(`Are you sure you want to delete criterion "${name}"?`) && api.perform('delete_criterion', { id }),
-    [name, id]
+    () => window.confirm(t('criteria.deleteConfirm', { name })) && api.perform('delete_criterion', { id }),
+    [name, id, t]
   );
   const onNameChange = useCallback(
     e => dispatch(criteriaSlice.actions.dirtyUpdate({ id, name: e.target.value })),
@@ -23,10 +33,23 @@ const CriterionForm = ({ id }) => {
     e => dispatch(criteriaSlice.actions.dirtyUpdate({ id, limit: e.target.value })),
     [id, dispatch]
   );
+  const onStepChange = useCallback(
+    e => dispatch(criteriaSlice.actions.dirtyUpdate({ id, step: e.target.value })),
+    [id, dispatch]
+  );
+  const onTypeChange = useCallback(
+    // the step field is hidden for the discrete types, a stale step must not travel with them
+    e => dispatch(criteriaSlice.actions.dirtyUpdate({ id, type: e.target.value, ...(isDiscrete(e.target.value) && { step: null }) })),
+    [id, dispatch]
+  );
+  const onOptionsChange = useCallback(
+    e => dispatch(criteriaSlice.actions.dirtyUpdate({ id, options: e.target.value })),
+    [id, dispatch]
+  );
 
   useEffect(
-    () => dirty && api.perform('update_criterion', { id, token: dirty, params: { name, limit } }),
-    [id, name, limit, dirty]
+    () => dirty && api.perform('update_criterion', { id, token: dirty, params: { name, type, limit, step, options } }),
+    [id, name, type, limit, step, options, dirty]
   );
 
   return <div className='d-flex gap-2 py-1 align-items-center bg-white'>
@@ -34,14 +57,35 @@ const CriterionForm = ({ id }) => {
 
     <div className='flex-grow-1 form-floating'>
       <input className='form-control' type='text' disabled={readOnly} value={name} min={0} onChange={onNameChange} />
-      <label>Назва критерію</label>
+      <label>{t('criteria.name')}</label>
     </div>
 
-    <div className='flex-grow-1 form-floating'>
-      <input className='form-control' type='number' disabled={readOnly} value={limit} min={0} onChange={onLimitChange} />
-      <label>Кількість балів</label>
+    {/* stored results would mean something else under another type */}
+    <div className='form-floating' style={{ width: 180 }}>
+      <select className='form-select' disabled={readOnly || hasResults} value={type} onChange={onTypeChange}
+        title={hasResults ? t('criteria.typeLocked') : undefined}>
+        {CRITERION_TYPES.map(key => <option key={key} value={key}>{t(`criteria.type.${key}`)}</option>)}
+      </select>
+      <label>{t('criteria.type')}</label>
     </div>
 
+    {type === 'options'
+      ? <div className='flex-grow-1 form-floating'>
+        <input className='form-control' type='text' disabled={readOnly} value={options ?? ''} placeholder='0 / 2 / 5'
+          onChange={onOptionsChange} />
+        <label>{t('criteria.options')}</label>
+      </div>
+      : <div className='flex-grow-1 form-floating'>
+        <input className='form-control' type='number' disabled={readOnly} value={limit} min={0} onChange={onLimitChange} />
+        <label>{t(`criteria.limit.${type}`)}</label>
+      </div>}
+
+    {(type === 'numeric' || type === 'penalty') && <div className='form-floating' style={{ width: 120 }}>
+      <input className='form-control' type='number' disabled={readOnly} value={step ?? ''} min={0} step='any'
+        onChange={onStepChange} />
+      <label>{t('criteria.step')}</label>
+    </div>}
+
     <button className='btn btn-outline-danger align-self-stretch' disabled={deleteDisabled} onClick={performDelete}>
       <Trash />
     </button>
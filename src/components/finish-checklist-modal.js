@@ -0,0 +1,135 @@
+import { useCallback, useRef, useState } from 'react';
+import { useSelector } from 'react-redux';
+import classNames from 'classnames';
+
+import api, { clientId } from '../api/action-cable';
+import { writeAggregates } from '../api/results';
+import { useTranslation } from '../i18n';
+import { selectFinishChecklist } from '../state/selectors';
+import { navigate, routePath } from '../utils/routing';
+import Modal from './modal';
+
+const NAME = 'finish-checklist';
+const MAX_ITEMS = 50;
+const NO_CHECKS = [];
+
+const FinishChecklistModalButton = () => {
+  const t = useTranslation();
+
+  return <Modal.Button name={NAME} className='btn btn-primary'>{t('finish.button')}</Modal.Button>;
+};
+
+const itemPath = (user, criterion) => routePath('results', criterion ? { user, criterion } : { user });
+
+const Check = ({ check: { key, items, blocking }, criterionNames, acknowledged, onAcknowledge, onJump }) => {
+  const t = useTranslation();
+  const passed = !items.length;
+
+  return (
+    <div className={classNames('card mb-2', { 'border-success': passed, 'border-danger': !passed && blocking, 'border-warning': !passed && !blocking })}>
+      <div className='card-header d-flex justify-content-between gap-2'>
+        <span>{passed ? '✓' : '✗'} {t(`checklist.${key}`)}</span>
+        {!passed && <span className='badge bg-secondary align-self-center'>{items.length}</span>}
+      </div>
+
+      {!passed && <div className='card-body py-2'>
+        <ul className='list-unstyled small mb-2' style={{ maxHeight: 160, overflowY: 'auto' }}>
+          {items.slice(0, MAX_ITEMS).map(({ user, criterion, text }, index) => (
+            <li key={index}>
+              <button type='button' className='btn btn-link btn-sm p-0 align-baseline' data-bs-dismiss='modal'
+                onClick={() => onJump(itemPath(user, criterion))}>
+                {user}{criterion && ` — ${criterionNames[criterion] ?? criterion}`}
+              </button>
+              {text && ` (${text})`}
+            </li>
+          ))}
+          {items.length > MAX_ITEMS && <li>{t('list.more', { count: items.length - MAX_ITEMS })}</li>}
+        </ul>
+
+        {blocking
+          ? <div className='text-danger small'>{t('finish.blocking')}</div>
+          : <div className='form-check'>
+            <input className='form-check-input' type='checkbox' id={`${NAME}-${key}`}
+              checked={acknowledged} onChange={e => onAcknowledge(key, e.target.checked)} />
+            <label className='form-check-label' htmlFor={`${NAME}-${key}`}>{t('finish.acknowledge')}</label>
+          </div>}
+      </div>}
+    </div>
+  );
+};
+
+const FinishChecklistModal = ({ criteria }) => {
+  const readOnly = useSelector(s => s.app.readOnly);
+  const task_name = useSelector(s => s.app.task_name);
+  const connected = useSelector(s => s.app.connected);
+  const independent = useSelector(s => s.scoring.mode === 'independent');
+  const [open, setOpen] = useState(false);
+  // the checks walk every cell, so they are only kept up to date while the dialog is open
+  const checks = useSelector(s => open ? selectFinishChecklist(s, clientId) : NO_CHECKS);
+  const [acknowledged, setAcknowledged] = useState({});
+  const [running, setRunning] = useState(false);
+  const jumpTo = useRef(null);
+  const t = useTranslation();
+
+  const criterionNames = Object.fromEntries(criteria.map(c => [c.id, c.nameLevels.join(' / ')]));
+  const failed = checks.filter(c => c.items.length);
+  const canFinish = !readOnly && connected && !running && failed.every(c => !c.blocking && acknowledged[c.key]);
+
+  const onOpen = useCallback(() => { setOpen(true); setAcknowledged({}); }, []);
+
+  // the cell can only take the focus once the modal is gone and has given it back to its button
+  const onHide = useCallback(
+    () => {
+      setOpen(false);
+      if (jumpTo.current) navigate(jumpTo.current);
+      jumpTo.current = null;
+    },
+    []
+  );
+
+  const onJump = useCallback(path => { jumpTo.current = path; }, []);
+
+  const onAcknowledge = useCallback((key, value) => setAcknowledged(a => ({ ...a, [key]: value })), []);
+
+  const finish = useCallback(
+    async () => {
+      setRunning(true);
+      try {
+        if (independent) {
+          const skipped = await writeAggregates();
+          if (skipped)
+            return window.alert(t('finish.skipped', { skipped }));
+        }
+
+        api.perform('finish');
+      } finally {
+        setRunning(false);
+      }
+    },
+    [independent, t]
+  );
+
+  return (
+    <Modal name={NAME} size='lg' scrollable onOpen={onOpen} onHide={onHide}>
+      <Modal.Header title={t('finish.title', { task: task_name })} />
+      <Modal.Body>
+        {readOnly && <div className='alert alert-warning'>{t('finish.finished')}</div>}
+        {!readOnly && !failed.length && <div className='alert alert-success'>{t('finish.passed')}</div>}
+        {checks.map(check => (
+          <Check key={check.key} check={check} criterionNames={criterionNames}
+            acknowledged={!!acknowledged[check.key]} onAcknowledge={onAcknowledge} onJump={onJump} />
+        ))}
+      </Modal.Body>
+      <Modal.Footer>
+        <button type='button' className='btn btn-secondary' data-bs-dismiss='modal'>{t('modal.cancel')}</button>
+        <button type='button' className='btn btn-primary' onClick={finish} disabled={!canFinish}>
+          {t('finish.button')}
+        </button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+FinishChecklistModal.Button = FinishChecklistModalButton;
+
+export default FinishChecklistModal;
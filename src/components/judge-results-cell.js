@@ -0,0 +1,33 @@
+import { shallowEqual, useSelector } from 'react-redux';
+import classNames from 'classnames';
+
+import { useFormatNumber, useTranslation } from '../i18n';
+import { aggregate, hasDiscrepancy } from '../models/aggregation';
+import { roundScore } from '../models/scoring';
+import ResultForm from './result-form';
+
+const JudgeResultsCell = ({ user, criterion, type, max, step, options }) => {
+  const judge = useSelector(s => s.app.judge);
+  const judges = useSelector(s => s.judges, shallowEqual);
+  const results = useSelector(s => s.judgeResults[user]?.[criterion], shallowEqual) || {};
+  const { aggregation, threshold } = useSelector(s => s.scoring, shallowEqual);
+  const t = useTranslation();
+  const formatNumber = useFormatNumber();
+
+  const values = Object.values(results).map(r => r.value);
+  const discrepancy = hasDiscrepancy(values, threshold);
+  const others = judges.filter(j => j !== judge && results[j]?.value !== undefined && results[j]?.value !== '');
+
+  return (
+    <div className={classNames('judge-results', { 'judge-results__discrepancy': discrepancy })}
+      title={discrepancy ? t('judges.discrepancy', { threshold }) : undefined}>
+      {judge && <ResultForm user={user} criterion={criterion} judge={judge} type={type} max={max} step={step} options={options} />}
+      <ul className='list-unstyled small text-start mb-0 mt-1'>
+        {others.map(j => <li key={j}>{j}: {results[j].value}</li>)}
+      </ul>
+      <strong>{formatNumber(roundScore(aggregate(values, aggregation)))}</strong>
+    </div>
+  );
+};
+
+export default JudgeResultsCell;
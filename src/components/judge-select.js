@@ -0,0 +1,26 @@
+import { useCallback } from 'react';
+import { shallowEqual, useDispatch, useSelector } from 'react-redux';
+
+import { useTranslation } from '../i18n';
+import appSlice from '../state/app';
+
+const JudgeSelect = () => {
+  const judge = useSelector(s => s.app.judge);
+  const judges = useSelector(s => s.judges, shallowEqual);
+  const dispatch = useDispatch();
+  const t = useTranslation();
+
+  const onChange = useCallback(e => dispatch(appSlice.actions.setJudge(e.target.value || null)), [dispatch]);
+
+  return (
+    <div className='form-floating my-3'>
+      <select className='form-select' value={judge || ''} onChange={onChange}>
+        <option value=''>{t('judges.selectSelf')}</option>
+        {judges.map(j => <option key={j} value={j}>{j}</option>)}
+      </select>
+      <label>{t('judges.judge')}</label>
+    </div>
+  );
+};
+
+export default JudgeSelect;
@@ -1,14 +1,17 @@
 import { createPortal } from 'react-dom';
 
+import { useTranslation } from '../i18n';
 import JudgesList from './judges-list';
 import NewJudgeModal from './new-judge-modal';
 
-const JudgesListAccordionItem = () => (
-  <div className='accordion-item'>
+const JudgesListAccordionItem = () => {
+  const t = useTranslation();
+
+  return <div className='accordion-item'>
     <h2 className='accordion-header'>
       <button className='accordion-button collapsed' type='button' data-bs-toggle='collapse' data-bs-target='#judges-list'
         aria-expanded='false' aria-controls='judges-list'>
-        Члени журі
+        {t('judges.title')}
       </button>
     </h2>
 
@@ -19,7 +22,7 @@ const JudgesListAccordionItem = () => (
         {createPortal(<NewJudgeModal />, document.body)}
       </div>
     </div>
-  </div>
-);
+  </div>;
+};
 
 export default JudgesListAccordionItem;
@@ -2,9 +2,10 @@ import { useSelector, shallowEqual } from 'react-redux';
 import { Trash } from 'react-bootstrap-icons';
 
 import api from '../api/action-cable';
+import { t } from '../i18n';
 
 const performDelete = (value, index) => {
-  window.confirm(`Are you sure you want to delete judge "${value}"?`) && api.perform('delete_judge', { value, index });
+  window.confirm(t('judges.deleteConfirm', { name: value })) && api.perform('delete_judge', { value, index });
 };
 
 const JudgesList = () => {
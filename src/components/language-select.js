@@ -0,0 +1,20 @@
+import { useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+
+import { LANGUAGES, changeLocale, useTranslation } from '../i18n';
+
+const LanguageSelect = () => {
+  const locale = useSelector(s => s.locale);
+  const dispatch = useDispatch();
+  const t = useTranslation();
+
+  const onChange = useCallback(e => dispatch(changeLocale(e.target.value)), [dispatch]);
+
+  return (
+    <select className='form-select form-select-sm w-auto ms-auto' title={t('language.label')} value={locale} onChange={onChange}>
+      {Object.entries(LANGUAGES).map(([key, name]) => <option key={key} value={key}>{name}</option>)}
+    </select>
+  );
+};
+
+export default LanguageSelect;
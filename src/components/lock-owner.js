@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useState } from 'react';
+import { shallowEqual, useSelector } from 'react-redux';
+import { LockFill } from 'react-bootstrap-icons';
+import classNames from 'classnames';
+
+import { takeOverLock } from '../api/locks';
+import { useTranslation } from '../i18n';
+import { LOCK_TTL, isStale } from '../state/locks';
+
+const describe = ({ judge, at }, stale, t, locale) => [
+  t('lock.editedBy', { name: judge || t('lock.otherClient') }),
+  at && t('lock.since', { time: new Date(at).toLocaleTimeString(locale) }),
+  stale && t('lock.stale'),
+].filter(x => x).join(' ');
+
+// Shown on a cell locked by someone else; the chair can take the lock over, e.g. from a judge who left
+const LockOwner = ({ lock }) => {
+  const holder = useSelector(s => s.locks[lock], shallowEqual);
+  const chair = useSelector(s => s.app.chair);
+  const locale = useSelector(s => s.locale);
+  const t = useTranslation();
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(
+    () => {
+      const interval = setInterval(() => setNow(Date.now()), LOCK_TTL / 4);
+      return () => clearInterval(interval);
+    },
+    [setNow]
+  );
+
+  const stale = holder && isStale(holder, now);
+  const title = holder && describe(holder, stale, t, locale);
+
+  const onClick = useCallback(
+    () => window.confirm(`${title}.\n${t('lock.takeOverConfirm')}`) && takeOverLock(lock),
+    [lock, title, t]
+  );
+
+  if (!holder) return null;
+
+  const className = classNames('cell-lock', { 'text-danger': stale, 'text-secondary': !stale });
+
+  return chair
+    ? <button type='button' className={`${className} btn btn-link p-0`} tabIndex={-1} title={`${title}. ${t('lock.takeOverHint')}`}
+      onClick={onClick}>
+      <LockFill size={12} />
+    </button>
+    : <span className={className} title={title}><LockFill size={12} /></span>;
+};
+
+export default LockOwner;
@@ -0,0 +1,18 @@
+import { useCallback } from 'react';
+import { BoxArrowRight } from 'react-bootstrap-icons';
+
+import { signOut } from '../api/action-cable';
+import { useTranslation } from '../i18n';
+
+const LogoutButton = () => {
+  const t = useTranslation();
+  const onClick = useCallback(() => window.confirm(t('logout.confirm')) && signOut(), [t]);
+
+  return (
+    <button className='btn btn-sm btn-outline-secondary' onClick={onClick}>
+      {t('logout.button')} <BoxArrowRight />
+    </button>
+  );
+};
+
+export default LogoutButton;
@@ -1,4 +1,5 @@
 import { useEffect, useRef } from 'react';
+import classNames from 'classnames';
 
 const ModalButton = ({ name, children, ...buttonProps }) => (
   <button type='button' data-bs-toggle='modal' data-bs-target={`#${name}`} {...buttonProps}>
@@ -25,9 +26,18 @@ const ModalFooter = ({ children }) => (
   </div>
 );
 
-const Modal = ({ name, onShow, onHide, children }) => {
+// onOpen fires as the modal starts to appear, onShow once it is fully shown
+const Modal = ({ name, size, scrollable, onOpen, onShow, onHide, children }) => {
   const modalRef = useRef(null);
 
+  useEffect(() => {
+    if (onOpen && modalRef.current) {
+      const element = modalRef.current;
+      element.addEventListener('show.bs.modal', onOpen);
+      return () => element.removeEventListener('show.bs.modal', onOpen);
+    }
+  }, [onOpen, modalRef]);
+
   useEffect(() => {
     if (onShow && modalRef.current) {
       const element = modalRef.current;
@@ -46,7 +56,7 @@ const Modal = ({ name, onShow, onHide, children }) => {
 
   return (
     <div ref={modalRef} className='modal fade' id={name} tabIndex='-1' aria-hidden='true'>
-      <div className='modal-dialog'>
+      <div className={classNames('modal-dialog', { 'modal-dialog-scrollable': scrollable }, size && `modal-${size}`)}>
         <div className='modal-content'>
           {children}
         </div>
@@ -3,16 +3,18 @@ import { useSelector } from 'react-redux';
 import { PlusSquareFill } from 'react-bootstrap-icons';
 
 import api from '../api/action-cable';
+import { useTranslation } from '../i18n';
 import Modal from './modal';
 
 const NAME = 'new-judge';
 
 const NewJudgeModalButton = () => {
   const readOnly = useSelector(s => s.app.readOnly);
+  const t = useTranslation();
 
   return (
     <Modal.Button name={NAME} className='btn btn-secondary mt-1 d-block w-100 text-center' disabled={readOnly}>
-      Додати члена журі <PlusSquareFill />
+      {t('judges.add')} <PlusSquareFill />
     </Modal.Button>
   );
 };
@@ -20,6 +22,7 @@ const NewJudgeModalButton = () => {
 const NewJudgeModal = () => {
   const readOnly = useSelector(s => s.app.readOnly);
   const [value, setValue] = useState('');
+  const t = useTranslation();
   const valueInputRef = useRef(null);
 
   const onModalHide = useCallback(() => setValue(''), [setValue]);
@@ -30,17 +33,17 @@ const NewJudgeModal = () => {
   return (
     <Modal name={NAME} onShow={onModalShow} onHide={onModalHide}>
       <form onSubmit={performSubmit}>
-        <Modal.Header title='Додати члена журі' />
+        <Modal.Header title={t('judges.add')} />
         <Modal.Body>
           <div className='form-floating'>
             <input className='form-control' type='text' ref={valueInputRef}
               disabled={readOnly} value={value} onChange={onValueChange} />
-            <label>Ім'я</label>
+            <label>{t('judges.name')}</label>
           </div>
         </Modal.Body>
         <Modal.Footer>
           <button type='submit' className='btn btn-primary' data-bs-dismiss="modal">
-            Додати
+            {t('modal.add')}
           </button>
         </Modal.Footer>
       </form>
@@ -0,0 +1,18 @@
+import { useSelector } from 'react-redux';
+
+import { useTranslation } from '../i18n';
+
+const OutboxStatus = () => {
+  const count = useSelector(s => s.outbox.length);
+  const t = useTranslation();
+
+  if (!count) return null;
+
+  return (
+    <div className='outbox-status badge bg-warning text-dark'>
+      {t('outbox.unsent', { count })}
+    </div>
+  );
+};
+
+export default OutboxStatus;
@@ -0,0 +1,43 @@
+import { shallowEqual, useSelector } from 'react-redux';
+
+import { clientId } from '../api/action-cable';
+import { useTranslation } from '../i18n';
+import { judgeColor } from '../utils/judge-colors';
+
+export const displayName = (id, { judge }, t) => judge || t('presence.client', { id: id.slice(0, 4) });
+
+const editorOf = (presence, lock) =>
+  Object.keys(presence).find(id => id !== clientId && presence[id].focus === lock);
+
+// Who else is in the cell with the lock key, as { name, color }, or null
+export const useCellEditor = lock => {
+  const id = useSelector(s => editorOf(s.presence, lock));
+  const entry = useSelector(s => id && s.presence[id], shallowEqual);
+  const t = useTranslation();
+
+  return entry ? { name: displayName(id, entry, t), color: judgeColor(entry.judge || id) } : null;
+};
+
+export const editorOutline = editor => editor ? { outline: `2px solid ${editor.color}`, outlineOffset: 1 } : undefined;
+
+const PresenceBar = () => {
+  const presence = useSelector(s => s.presence, shallowEqual);
+  const t = useTranslation();
+  const ids = Object.keys(presence).sort((a, b) => (b === clientId) - (a === clientId));
+
+  if (!ids.length) return null;
+
+  return (
+    <div className='d-flex flex-wrap gap-1 align-items-center small'>
+      <span className='text-muted'>{t('presence.online')}</span>
+      {ids.map(id => (
+        <span key={id} className='badge' style={{ backgroundColor: judgeColor(presence[id].judge || id) }}
+          title={presence[id].focus ? t('presence.editing') : undefined}>
+          {displayName(id, presence[id], t)}{id === clientId && ` ${t('presence.you')}`}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default PresenceBar;
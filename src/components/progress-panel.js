@@ -0,0 +1,94 @@
+import { useSelector } from 'react-redux';
+
+import { useTranslation } from '../i18n';
+import { selectProgress } from '../state/selectors';
+import { routePath } from '../utils/routing';
+
+const MAX_MISSING = 100;
+
+const percent = (filled, total) => total ? Math.floor(filled * 100 / total) : 100;
+
+const ProgressBar = ({ filled, total }) => {
+  const value = percent(filled, total);
+  const color = value === 100 ? 'bg-success' : (value >= 50 ? 'bg-info' : 'bg-warning');
+
+  return (
+    <div className='progress' style={{ height: 18 }} title={`${filled} / ${total}`}>
+      <div className={`progress-bar text-dark ${color}`} style={{ width: `${value}%`, minWidth: '2.5em' }}>{value}%</div>
+    </div>
+  );
+};
+
+const cellLink = (user, criterion) => `#${routePath('results', criterion ? { user, criterion } : { user })}`;
+
+const ProgressPanel = ({ criteria }) => {
+  const users = useSelector(s => s.users);
+  const presets = useSelector(s => s.commentPresets);
+  const t = useTranslation();
+  const { byCriterion, byUser, missing, commentCounts, total } = useSelector(selectProgress);
+
+  const filled = total - missing.length;
+  const criterionNames = Object.fromEntries(criteria.map(c => [c.id, c.nameLevels.join(' / ')]));
+  const incompleteUsers = users.filter(u => byUser[u] < criteria.length);
+  const presetTexts = presets.map(p => p.text.trim());
+  const otherComments = Object.entries(commentCounts)
+    .filter(([text]) => !presetTexts.includes(text))
+    .reduce((n, [, count]) => n + count, 0);
+
+  return (
+    <div className='card my-3'>
+      <button className='card-header btn btn-light text-start d-flex gap-3 align-items-center' type='button'
+        data-bs-toggle='collapse' data-bs-target='#progress-panel' aria-expanded='false' aria-controls='progress-panel'>
+        <strong className='text-nowrap'>{t('progress.title')}</strong>
+        <div className='flex-grow-1'><ProgressBar filled={filled} total={total} /></div>
+      </button>
+
+      <div id='progress-panel' className='collapse'>
+        <div className='card-body row g-3'>
+          <div className='col-lg-4'>
+            <h6>{t('progress.byCriterion')}</h6>
+            {criteria.map(({ id }) => (
+              <div key={id} className='mb-1'>
+                <div className='small'>{criterionNames[id]}</div>
+                <ProgressBar filled={byCriterion[id]} total={users.length} />
+              </div>
+            ))}
+          </div>
+
+          <div className='col-lg-4'>
+            <h6>{t('progress.incomplete', { count: incompleteUsers.length })}</h6>
+            <div className='d-flex flex-wrap gap-1 mb-3'>
+              {incompleteUsers.map(user => (
+                <a key={user} className='badge bg-warning text-dark text-decoration-none' href={cellLink(user)}>
+                  {user} · {percent(byUser[user], criteria.length)}%
+                </a>
+              ))}
+            </div>
+
+            <h6>{t('progress.comments')}</h6>
+            <ul className='list-unstyled small mb-0'>
+              {presets.map(({ id, text }) => (
+                <li key={id}>{text}: <strong>{commentCounts[text.trim()] || 0}</strong></li>
+              ))}
+              <li>{t('progress.otherComments')} <strong>{otherComments}</strong></li>
+            </ul>
+          </div>
+
+          <div className='col-lg-4'>
+            <h6>{t('progress.missing', { count: missing.length })}</h6>
+            <ul className='list-unstyled small mb-0' style={{ maxHeight: 300, overflowY: 'auto' }}>
+              {missing.slice(0, MAX_MISSING).map(({ user, criterion }) => (
+                <li key={`${user}:${criterion}`}>
+                  <a href={cellLink(user, criterion)}>{user} — {criterionNames[criterion]}</a>
+                </li>
+              ))}
+              {missing.length > MAX_MISSING && <li>{t('list.more', { count: missing.length - MAX_MISSING })}</li>}
+            </ul>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProgressPanel;
@@ -1,22 +1,62 @@
-import { useCallback, useEffect, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { shallowEqual, useSelector, useDispatch } from 'react-redux';
 import classNames from 'classnames';
 
-import api, { clientId, task } from '../api/action-cable';
+import api, { clientId } from '../api/action-cable';
+import { acquireLock, releaseLock, resultLock } from '../api/locks';
+import { blurCell, focusCell } from '../api/presence';
+import { recordOperation } from '../api/undo';
+import { useTranslation } from '../i18n';
 import resultsSlice from '../state/results';
+import judgeResultsSlice from '../state/judge-results';
+import { KEY_DIRECTIONS, moveFocus } from '../utils/grid-navigation';
+import { isDiscrete, parseOptions } from '../models/criterion';
+import { parseResult, validateResult } from '../utils/result-validation';
+import CellHistory from './cell-history';
+import LockOwner from './lock-owner';
+import { editorOutline, useCellEditor } from './presence-bar';
 
-const ResultForm = ({ user, criterion, max }) => {
-  const lock = `${task}:${user}:${criterion}`;
+// Where the cell value lives: the shared result or, in the independent mode, the judge's own one
+const SOURCES = {
+  shared: {
+    slice: resultsSlice,
+    write: 'write_result',
+    reset: 'reset_result',
+    select: (s, user, criterion) => s.results[user]?.[criterion],
+  },
+  judge: {
+    slice: judgeResultsSlice,
+    write: 'write_judge_result',
+    reset: 'reset_judge_result',
+    select: (s, user, criterion, judge) => s.judgeResults[user]?.[criterion]?.[judge],
+  },
+};
+
+const ResultForm = ({ user, criterion, judge, type = 'numeric', max, step, options }) => {
+  const source = judge ? SOURCES.judge : SOURCES.shared;
+  const lock = resultLock(user, criterion, judge);
   const readOnly = useSelector(s => s.app.readOnly);
-  const result = useSelector(s => s.results[user]?.[criterion], shallowEqual);
-  const lockedId = useSelector(s => s.locks[lock]);
+  const result = useSelector(s => source.select(s, user, criterion, judge), shallowEqual);
+  const lockedId = useSelector(s => s.locks[lock]?.client_id);
+  const connected = useSelector(s => s.app.connected);
+  const editor = useCellEditor(lock);
+  const t = useTranslation();
   const dispatch = useDispatch();
   const [focused, setFocused] = useState(false);
+  const valueOnFocus = useRef('');
 
   const { value, dirty } = result || { value: '' };
   const lockAcquired = lockedId === clientId;
+  const looksValid = typeof(value) === "number" || (value !== "" && !value.endsWith('.'));
+  const error = looksValid ? validateResult(parseResult(value), { type, limit: max, step, options }) : null;
   const status = focused ? (lockAcquired ? (dirty ? 'warning' : 'success') : 'danger') : (dirty ? 'danger' : 'success');
-  const inputClassName = classNames('form-control', 'border', {
+  // a checkbox or an option is picked by the same click that focuses it, before the lock is granted;
+  // the write still reaches the server after the lock request, so only a lock held by someone else stops it.
+  // Offline no lock can be granted at all: the outbox replays the edits and the server settles any conflict
+  const discrete = isDiscrete(type);
+  const canEdit = !focused || lockAcquired || (!lockedId && (discrete || !connected));
+  const inputClassName = classNames('border', {
+    'is-invalid': error,
     'border-danger': status === 'danger',
     'text-danger': status === 'danger',
     'border-warning': status === 'warning',
@@ -24,66 +64,145 @@ const ResultForm = ({ user, criterion, max }) => {
   });
 
   const onFocus = useCallback(
-    () => { setFocused(true); api.perform('acquire_lock', { lock }); },
-    [lock, setFocused]
+    () => { valueOnFocus.current = value; setFocused(true); acquireLock(lock); focusCell(lock); },
+    [lock, value, setFocused]
   );
 
   const onBlur = useCallback(
-    () => { setFocused(false); api.perform('release_lock', { lock }); },
-    [lock, setFocused]
+    () => {
+      setFocused(false);
+      if (!judge && lockAcquired && looksValid && !error)
+        recordOperation([{ kind: 'result', user, criterion, before: valueOnFocus.current, after: value }]);
+    },
+    [judge, user, criterion, value, lockAcquired, looksValid, error, setFocused]
   );
 
   const onChange = useCallback(
     e => {
-      if (!focused || lockAcquired)
-        dispatch(resultsSlice.actions.dirtyUpdate({ user, criterion, value: e.target.value }));
+      const newValue = e.target.type === 'checkbox' ? String(e.target.checked ? max : 0) : e.target.value;
+      if (canEdit)
+        dispatch(source.slice.actions.dirtyUpdate({ user, criterion, judge, value: newValue }));
+    },
+    [source, user, criterion, judge, max, dispatch, canEdit]
+  );
+
+  // an empty boolean cell is neither a yes nor a no yet
+  const checkboxRef = useCallback(el => { if (el) el.indeterminate = value === ''; }, [value]);
+
+  // Esc brings back the value the cell had when it was focused. A cell that was empty cannot be emptied again,
+  // the protocol has no such write (see api/undo), so there Esc only drops input the server has not confirmed
+  const revert = useCallback(
+    () => {
+      const initial = valueOnFocus.current;
+      if (initial !== '' && String(initial) !== String(value))
+        dispatch(source.slice.actions.dirtyUpdate({ user, criterion, judge, value: initial }));
+      else if (dirty)
+        api.perform(source.reset, { user, criterion, judge });
     },
-    [user, criterion, dispatch, focused, lockAcquired]
+    [source, user, criterion, judge, value, dirty, dispatch]
+  );
+
+  const onKeyDown = useCallback(
+    e => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        if (lockAcquired) revert();
+        return;
+      }
+
+      // like a dropdown cell of a spreadsheet, a select keeps the up and down arrows to pick an option
+      const picksOption = e.target.tagName === 'SELECT' && (e.key === 'ArrowUp' || e.key === 'ArrowDown');
+      const direction = KEY_DIRECTIONS[e.key];
+      if (direction && !picksOption) {
+        e.preventDefault();
+        moveFocus(e.target, e.key === 'Enter' && e.shiftKey ? [-1, 0] : direction);
+      }
+    },
+    [lockAcquired, revert]
+  );
+
+  // released with the focus state, which also covers a row unmounted by the virtualized table while focused
+  useEffect(
+    () => {
+      if (focused) return () => { releaseLock(lock); blurCell(lock); };
+    },
+    [focused, lock]
   );
 
   useEffect(
     () => {
-      const looksValid = typeof(value) === "number" || (value !== "" && !value.endsWith('.'));
-      if (dirty && looksValid)
-        api.perform('write_result', { user, criterion, value, token: dirty })
+      if (dirty && looksValid && !error)
+        api.perform(source.write, { user, criterion, judge, value, token: dirty })
     },
-    [user, criterion, value, dirty]
+    [source, user, criterion, judge, value, dirty, looksValid, error]
   );
 
   useEffect(
     () => {
-      if (dirty && !lockAcquired) {
-        const timeout = setTimeout(() => api.perform('reset_result', { user, criterion }), 10000);
+      // while offline the write is queued in the outbox, do not throw it away
+      if (dirty && !lockAcquired && connected) {
+        const timeout = setTimeout(() => api.perform(source.reset, { user, criterion, judge }), 10000);
         return () => clearTimeout(timeout);
       }
     },
-    [user, criterion, dirty, lockAcquired]
+    [source, user, criterion, judge, dirty, lockAcquired, connected]
   );
 
+  const history = !judge && <CellHistory user={user} criterion={criterion} />;
+
+  const inputProps = {
+    title: error || undefined,
+    disabled: lockedId && !lockAcquired,
+    onChange,
+    onKeyDown,
+    onFocus,
+    onBlur,
+  };
+
   if (readOnly) {
-    return <div>{value}</div>;
+    return <div className='position-relative'>{value}{history}</div>;
   }
 
   return (
-    <div className='position-relative'>
-      <div className='input-group'>
-        <input
-          className={inputClassName}
+    <div className='position-relative' style={editorOutline(editor)} title={editor ? t('presence.here', { name: editor.name }) : undefined}>
+      <div className='input-group justify-content-center'>
+        {type === 'boolean' && <input
+          {...inputProps}
+          ref={checkboxRef}
+          className={classNames('form-check-input fs-4 m-0', inputClassName)}
+          type='checkbox'
+          checked={value !== '' && parseResult(value) === parseFloat(max)} />}
+
+        {type === 'options' && <select
+          {...inputProps}
+          className={classNames('form-select', inputClassName)}
+          style={{ width: 90 }}
+          value={String(value)}>
+          <option value='' />
+          {parseOptions(options).map(option => <option key={option} value={option}>{option}</option>)}
+        </select>}
+
+        {!discrete && <input
+          {...inputProps}
+          className={classNames('form-control', inputClassName)}
           type='number'
           style={{ width: 80 }}
-          min={0}
-          max={max}
-          value={value}
-          disabled={lockedId && !lockAcquired}
-          onChange={onChange}
-          onFocus={onFocus}
-          onBlur={onBlur} />
+          min={type === 'penalty' ? -max : 0}
+          max={type === 'penalty' ? 0 : max}
+          step={step || 'any'}
+          value={value} />}
       </div>
+      {history}
+      {lockedId && !lockAcquired && <LockOwner lock={lock} />}
+
+      {focused && error && <div className='status-notice status-notice__danger'>
+        {error}
+      </div>}
 
-      {focused && <div className={`status-notice status-notice__${status}`}>
-        {status === 'danger' && 'Acquiring lock ...'}
-        {status === 'warning' && 'Saving ...'}
-        {status === 'success' && 'Ready'}
+      {focused && !error && <div className={`status-notice status-notice__${status}`}>
+        {status === 'danger' && t('cell.acquiringLock')}
+        {status === 'warning' && t('cell.saving')}
+        {status === 'success' && t('cell.ready')}
       </div>}
     </div>
   );
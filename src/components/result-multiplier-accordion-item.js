@@ -1,11 +1,16 @@
 import { useCallback } from 'react';
 import { useSelector } from 'react-redux';
+import classNames from 'classnames';
 
 import api from '../api/action-cable';
+import { useTranslation } from '../i18n';
+import { selectMultiplier } from '../state/result-multiplier';
 
 const ResultMultiplierAccordionItem = () => {
   const readOnly = useSelector(s => s.app.readOnly);
   const value = useSelector(s => s.resultMultiplier);
+  const { error } = useSelector(selectMultiplier);
+  const t = useTranslation();
 
   const onChange = useCallback(e => api.perform('write_result_multiplier', { value: e.target.value }), []);
 
@@ -15,14 +20,16 @@ const ResultMultiplierAccordionItem = () => {
         <button className='accordion-button collapsed' type='button'
           data-bs-toggle='collapse' data-bs-target='#result-multiplier'
           aria-expanded='false' aria-controls='result-multiplier'>
-          Множник до результату
+          {t('multiplier.title')}
         </button>
       </h2>
 
       <div id='result-multiplier' className='accordion-collapse collapse' data-bs-parent='#page-accordion'>
         <div className='accordion-body'>
           <div className='form-floating'>
-            <input className='form-control' type='text' disabled={readOnly} value={value} onChange={onChange} />
+            <input className={classNames('form-control', { 'is-invalid': error })} type='text'
+              disabled={readOnly} value={value} onChange={onChange} />
+            {error && <div className='invalid-feedback'>{error}</div>}
           </div>
         </div>
       </div>
@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { shallowEqual, useDispatch, useSelector } from 'react-redux';
+import { ChatSquareText, ChatSquareTextFill } from 'react-bootstrap-icons';
+import classNames from 'classnames';
+import TextareaAutosize from 'react-textarea-autosize';
+
+import api, { clientId } from '../api/action-cable';
+import { acquireLock, noteLock, releaseLock } from '../api/locks';
+import { blurCell, focusCell } from '../api/presence';
+import { useTranslation } from '../i18n';
+import notesSlice from '../state/notes';
+
+const ResultNote = ({ user, criterion }) => {
+  const lock = noteLock(user, criterion);
+  const readOnly = useSelector(s => s.app.readOnly);
+  const note = useSelector(s => s.notes[user]?.[criterion], shallowEqual);
+  const lockedId = useSelector(s => s.locks[lock]?.client_id);
+  const connected = useSelector(s => s.app.connected);
+  const dispatch = useDispatch();
+  const t = useTranslation();
+  const [open, setOpen] = useState(false);
+  const [focused, setFocused] = useState(false);
+  const ref = useRef(null);
+
+  const { value, dirty } = note || { value: '' };
+  const lockAcquired = lockedId === clientId;
+  const canEdit = lockAcquired || (!lockedId && !connected);
+
+  const toggle = useCallback(() => setOpen(o => !o), [setOpen]);
+  const close = useCallback(() => { setOpen(false); setFocused(false); }, [setOpen, setFocused]);
+
+  const onFocus = useCallback(
+    () => {
+      if (readOnly) return;
+      setFocused(true);
+      acquireLock(lock);
+      focusCell(lock);
+    },
+    [lock, readOnly, setFocused]
+  );
+  const onBlur = useCallback(() => setFocused(false), [setFocused]);
+  const onChange = useCallback(
+    e => canEdit && dispatch(notesSlice.actions.dirtyUpdate({ user, criterion, value: e.target.value })),
+    [user, criterion, dispatch, canEdit]
+  );
+  const onKeyDown = useCallback(e => e.key === 'Escape' && close(), [close]);
+
+  // closing the popover unmounts the textarea without a blur event, so the lock follows the focus state instead
+  useEffect(
+    () => {
+      if (focused) return () => { releaseLock(lock); blurCell(lock); };
+    },
+    [focused, lock]
+  );
+
+  useEffect(
+    () => {
+      if (!open) return;
+
+      const onClick = e => ref.current && !ref.current.contains(e.target) && close();
+      document.addEventListener('mousedown', onClick);
+      return () => document.removeEventListener('mousedown', onClick);
+    },
+    [open, close]
+  );
+
+  useEffect(
+    () => dirty && api.perform('write_note', { user, criterion, value, token: dirty }),
+    [user, criterion, value, dirty]
+  );
+
+  useEffect(
+    () => {
+      if (dirty && !lockAcquired && connected) {
+        const timeout = setTimeout(() => api.perform('reset_note', { user, criterion }), 10000);
+        return () => clearTimeout(timeout);
+      }
+    },
+    [user, criterion, dirty, lockAcquired, connected]
+  );
+
+  if (readOnly && !value) return null;
+
+  const Icon = value ? ChatSquareTextFill : ChatSquareText;
+
+  return (
+    <div ref={ref} className={classNames('cell-note', { 'cell-note__empty': !value })}>
+      <button type='button' className='btn btn-link p-0' tabIndex={-1} title={value || t('note.add')} onClick={toggle}>
+        <Icon size={12} />
+      </button>
+
+      {open && <div className='cell-note__popover shadow p-1'>
+        <TextareaAutosize
+          className={classNames('form-control form-control-sm', { 'border-warning': dirty })}
+          minRows={2}
+          autoFocus={!readOnly}
+          placeholder={t('note.placeholder')}
+          value={value ?? ''}
+          readOnly={readOnly}
+          disabled={lockedId && !lockAcquired}
+          onChange={onChange}
+          onKeyDown={onKeyDown}
+          onFocus={onFocus}
+          onBlur={onBlur} />
+      </div>}
+    </div>
+  );
+};
+
+export default ResultNote;
@@ -0,0 +1,41 @@
+import { useCallback } from 'react';
+import { useSelector, useStore } from 'react-redux';
+import { Download } from 'react-bootstrap-icons';
+
+import { useTranslation } from '../i18n';
+import { selectCellValue, selectUserValues } from '../state/selectors';
+import { buildResultsSheet, exportResultsCSV, exportResultsXLSX } from '../utils/results-export';
+
+const ResultsExportButtons = ({ criteria, headerRows, multiplier }) => {
+  const store = useStore();
+  const taskName = useSelector(s => s.app.task_name);
+  const t = useTranslation();
+
+  const buildSheet = useCallback(
+    () => {
+      const state = store.getState();
+      const { users, comments, notes } = state;
+      const cellValue = (user, criterion) => selectCellValue(state, user, criterion);
+      const userValues = user => selectUserValues(state, user) || [];
+      return buildResultsSheet({ criteria, headerRows, users, cellValue, userValues, comments, notes, multiplier });
+    },
+    [store, criteria, headerRows, multiplier]
+  );
+
+  const fileName = taskName || 'results';
+  const onXLSXClick = useCallback(() => exportResultsXLSX(buildSheet(), fileName), [buildSheet, fileName]);
+  const onCSVClick = useCallback(() => exportResultsCSV(buildSheet(), fileName), [buildSheet, fileName]);
+
+  return (
+    <div className='d-flex gap-2 my-3'>
+      <button className='btn btn-outline-primary flex-grow-1' onClick={onXLSXClick}>
+        {t('export.xlsx')} <Download />
+      </button>
+      <button className='btn btn-outline-primary flex-grow-1' onClick={onCSVClick}>
+        {t('export.csv')} <Download />
+      </button>
+    </div>
+  );
+};
+
+export default ResultsExportButtons;
@@ -0,0 +1,148 @@
+import { useCallback, useMemo, useRef, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Upload } from 'react-bootstrap-icons';
+
+import { isChanged, writeResult } from '../api/results';
+import { useTranslation } from '../i18n';
+import { matchResults, readSheet } from '../utils/results-import';
+import Modal from './modal';
+
+const NAME = 'results-import';
+
+const ResultsImportModalButton = () => {
+  const readOnly = useSelector(s => s.app.readOnly);
+  const t = useTranslation();
+
+  return (
+    <Modal.Button name={NAME} className='btn btn-outline-primary' disabled={readOnly}>
+      {t('import.button')} <Upload />
+    </Modal.Button>
+  );
+};
+
+const ResultsImportModal = ({ criteria }) => {
+  const readOnly = useSelector(s => s.app.readOnly);
+  const connected = useSelector(s => s.app.connected);
+  const users = useSelector(s => s.users);
+  const results = useSelector(s => s.results);
+  const t = useTranslation();
+  const [preview, setPreview] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const onModalHide = useCallback(() => {
+    setPreview(null);
+    setProgress(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  }, [setPreview, setProgress, fileInputRef]);
+
+  const onFileChange = useCallback(
+    async e => {
+      const file = e.target.files[0];
+      setProgress(null);
+      if (!file) return setPreview(null);
+
+      try {
+        setPreview(matchResults(await readSheet(file), criteria, users));
+      } catch {
+        setPreview({ error: t('import.unreadable') });
+      }
+    },
+    [criteria, users, t, setPreview, setProgress]
+  );
+
+  const writes = useMemo(
+    () => (preview?.entries || []).flatMap(({ user, cells }) => cells
+      .filter(({ criterion, value, error }) => !error && isChanged(results, user, criterion, value))
+      .map(({ criterion, value }) => ({ user, criterion, value }))),
+    [preview, results]
+  );
+
+  const running = progress && progress.done + progress.skipped < progress.total;
+
+  const performImport = useCallback(
+    async () => {
+      const queue = writes.slice();
+      let done = 0, skipped = 0;
+      setProgress({ done, skipped, total: queue.length });
+
+      for (const write of queue) {
+        const written = await writeResult(write.user, write.criterion, write.value);
+        written ? done++ : skipped++;
+        setProgress({ done, skipped, total: queue.length });
+      }
+    },
+    [writes, setProgress]
+  );
+
+  const criterionNames = Object.fromEntries(criteria.map(c => [c.id, c.nameLevels.join(' / ')]));
+  const errorsCount = (preview?.entries || []).reduce((n, { cells }) => n + cells.filter(c => c.error).length, 0);
+
+  return (
+    <Modal name={NAME} size='xl' scrollable onHide={onModalHide}>
+      <Modal.Header title={t('import.title')} />
+      <Modal.Body>
+        <input ref={fileInputRef} className='form-control mb-3' type='file' accept='.xlsx,.xls,.csv'
+          disabled={readOnly || running} onChange={onFileChange} />
+
+        {preview?.error && <div className='alert alert-danger'>{preview.error}</div>}
+
+        {preview?.entries && <>
+          <div className='alert alert-info'>
+            <p className='mb-0'><strong>{t('import.writes')}</strong> {writes.length}</p>
+            {errorsCount > 0 && <p className='mb-0'><strong>{t('import.errors')}</strong> {errorsCount}</p>}
+            {preview.unmatchedColumns.length > 0 &&
+              <p className='mb-0'><strong>{t('import.unmatchedColumns')}</strong> {preview.unmatchedColumns.join(', ')}</p>}
+            {preview.unknownUsers.length > 0 &&
+              <p className='mb-0'><strong>{t('import.unknownUsers')}</strong> {preview.unknownUsers.join(', ')}</p>}
+          </div>
+
+          <table className='table table-sm table-bordered border-dark text-center align-middle'>
+            <thead>
+              <tr>
+                <th>{t('table.code')}</th>
+                {preview.columns.map(({ criterion }) => <th key={criterion.id}>{criterionNames[criterion.id]}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {preview.entries.map(({ user, cells }) => (
+                <tr key={user}>
+                  <td>{user}</td>
+                  {preview.columns.map(({ criterion }) => {
+                    const cell = cells.find(c => c.criterion === criterion.id);
+                    if (!cell) return <td key={criterion.id} />;
+
+                    const current = results[user]?.[criterion.id]?.value;
+                    const changed = isChanged(results, user, criterion.id, cell.value);
+                    const className = cell.error ? 'table-danger' : (changed ? 'table-warning' : undefined);
+
+                    return (
+                      <td key={criterion.id} className={className} title={cell.error || (changed ? t('import.was', { value: current ?? '' }) : undefined)}>
+                        {cell.text}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>}
+
+        {progress && <p className='mb-0'>
+          {t('import.progress', progress)}
+          {progress.skipped > 0 && `, ${t('import.skipped', progress)}`}
+        </p>}
+      </Modal.Body>
+      <Modal.Footer>
+        <button type='button' className='btn btn-primary' onClick={performImport}
+          disabled={readOnly || !connected || running || !writes.length}>
+          {t('import.submit')}
+        </button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+ResultsImportModal.Button = ResultsImportModalButton;
+
+export default ResultsImportModal;
@@ -1,21 +1,17 @@
 import { useRef } from 'react';
-import { shallowEqual, useSelector } from 'react-redux';
+import { useSelector } from 'react-redux';
 import { utils, writeFileXLSX } from 'xlsx';
 
+import { useTranslation } from '../i18n';
 import Header from './results-table-header';
-import { buildCriteria } from '../models/criterion';
+import { selectCriteriaModel } from '../state/selectors';
 
 const ResultsTablePreview = () => {
-  const criteriaProps = useSelector(s => s.criteria, shallowEqual);
-  const rmValue = useSelector(s => s.resultMultiplier).split('/');
+  const [criteria, headerRows] = useSelector(selectCriteriaModel);
   const tableRef = useRef(null);
+  const t = useTranslation();
 
-  if (!criteriaProps.length) return null;
-
-  const rmNumerator = parseInt(rmValue[0]);
-  const rmDenominator = rmValue[1] ? parseInt(rmValue[1]) : 1;
-
-  const [criteria, headerRows] = buildCriteria(criteriaProps, rmNumerator, rmDenominator);
+  if (!criteria.length) return null;
 
   const exportXLSX = () => {
     const wb = utils.table_to_book(tableRef.current);
@@ -28,7 +24,7 @@ const ResultsTablePreview = () => {
         <Header rows={headerRows} criteria={criteria} />
       </thead>
     </table>
-    <button className='btn btn-primary d-block w-100 text-center' onClick={exportXLSX}>Експортувати критерії в XLSX</button>
+    <button className='btn btn-primary d-block w-100 text-center' onClick={exportXLSX}>{t('preview.export')}</button>
   </>;
 };
 
@@ -0,0 +1,56 @@
+import { useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { ArrowRepeat, SortDown, SortUp } from 'react-bootstrap-icons';
+
+import { useTranslation } from '../i18n';
+import tableViewSlice from '../state/table-view';
+import { SORT_KEYS, criterionSortKey } from '../state/selectors';
+
+const FILTERS = ['all', 'incomplete', 'commented', 'mine'];
+
+const ResultsTableToolbar = ({ criteria, shown, onRefresh }) => {
+  const { sort, descending, filter, search } = useSelector(s => s.tableView);
+  const total = useSelector(s => s.users.length);
+  const dispatch = useDispatch();
+  const t = useTranslation();
+
+  const onSortChange = useCallback(e => dispatch(tableViewSlice.actions.setSort(e.target.value)), [dispatch]);
+  const onDirectionClick = useCallback(() => dispatch(tableViewSlice.actions.setSort(sort)), [dispatch, sort]);
+  const onFilterChange = useCallback(e => dispatch(tableViewSlice.actions.setFilter(e.target.value)), [dispatch]);
+  const onSearchChange = useCallback(e => dispatch(tableViewSlice.actions.setSearch(e.target.value)), [dispatch]);
+
+  return (
+    <div className='d-flex flex-wrap gap-2 align-items-center'>
+      <input className='form-control w-auto' type='search' placeholder={t('toolbar.search')} value={search}
+        onChange={onSearchChange} />
+
+      <div className='input-group w-auto'>
+        <span className='input-group-text'>{t('toolbar.sort')}</span>
+        <select className='form-select' value={sort} onChange={onSortChange}>
+          <option value={SORT_KEYS.order}>{t('toolbar.sort.order')}</option>
+          <option value={SORT_KEYS.code}>{t('toolbar.sort.code')}</option>
+          {criteria.map(c => <option key={c.id} value={criterionSortKey(c.id)}>{c.nameLevels.join(' / ')}</option>)}
+          <option value={SORT_KEYS.sum}>{t('toolbar.sort.sum')}</option>
+          <option value={SORT_KEYS.result}>{t('toolbar.sort.result')}</option>
+        </select>
+        <button className='btn btn-outline-secondary' type='button' onClick={onDirectionClick}
+          title={descending ? t('toolbar.descending') : t('toolbar.ascending')}>
+          {descending ? <SortDown /> : <SortUp />}
+        </button>
+      </div>
+
+      <select className='form-select w-auto' value={filter} onChange={onFilterChange}>
+        {FILTERS.map(key => <option key={key} value={key}>{t(`toolbar.filter.${key}`)}</option>)}
+      </select>
+
+      {/* rows do not jump around while they are being edited, the order is only refreshed on demand */}
+      <button className='btn btn-outline-secondary' type='button' onClick={onRefresh} title={t('toolbar.refresh')}>
+        <ArrowRepeat />
+      </button>
+
+      <span className='text-muted small'>{t('toolbar.shown', { shown, total })}</span>
+    </div>
+  );
+};
+
+export default ResultsTableToolbar;
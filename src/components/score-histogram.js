@@ -0,0 +1,37 @@
+import classNames from 'classnames';
+
+const WIDTH = 320;
+const HEIGHT = 140;
+const LABELS = 18;
+const COUNTS = 12;
+
+const ScoreHistogram = ({ bins, outliers }) => {
+  const highest = Math.max(1, ...bins.map(b => b.users.length));
+  const barWidth = WIDTH / bins.length;
+  const chartHeight = HEIGHT - LABELS - COUNTS;
+
+  return (
+    <svg className='score-histogram' viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role='img'>
+      {bins.map(({ tick, label, users }, index) => {
+        const height = users.length / highest * chartHeight;
+        const x = index * barWidth;
+        const hasOutliers = users.some(u => outliers.includes(u));
+
+        return (
+          <g key={label}>
+            <title>{`${label}: ${users.length}${users.length ? ` (${users.join(', ')})` : ''}`}</title>
+            <rect x={x + 1} y={COUNTS + chartHeight - height} width={barWidth - 2} height={height}
+              className={classNames('score-histogram__bar', { 'score-histogram__outlier': hasOutliers })} />
+            {users.length > 0 && <text x={x + barWidth / 2} y={COUNTS + chartHeight - height - 2} textAnchor='middle'>
+              {users.length}
+            </text>}
+            <text x={x + barWidth / 2} y={HEIGHT - 4} textAnchor='middle'>{tick}</text>
+          </g>
+        );
+      })}
+      <line x1={0} x2={WIDTH} y1={COUNTS + chartHeight} y2={COUNTS + chartHeight} className='score-histogram__axis' />
+    </svg>
+  );
+};
+
+export default ScoreHistogram;
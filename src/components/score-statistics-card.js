@@ -0,0 +1,50 @@
+import { useFormatNumber, useTranslation } from '../i18n';
+import { describe, histogram } from '../utils/statistics';
+import { routePath } from '../utils/routing';
+import ScoreHistogram from './score-histogram';
+
+const formatShare = share => share === null ? '—' : `${Math.round(share * 100)}%`;
+
+const ScoreStatisticsCard = ({ title, entries, max, criterion }) => {
+  const limit = Number.isFinite(parseFloat(max)) ? parseFloat(max) : null;
+  const stats = describe(entries, limit);
+  const t = useTranslation();
+  const formatNumber = useFormatNumber();
+  const format = value => value === null || value === undefined ? '—' : formatNumber(+value.toFixed(2));
+
+  return (
+    <div className='card h-100'>
+      <div className='card-header'>
+        <strong>{title}</strong>
+        {limit !== null && <span className='text-muted'> / {format(limit)}</span>}
+      </div>
+
+      {!stats.count && <div className='card-body text-muted'>{t('statistics.empty')}</div>}
+
+      {stats.count > 0 && <div className='card-body'>
+        <table className='table table-sm small mb-2'>
+          <tbody>
+            <tr><th>{t('statistics.count')}</th><td>{stats.count}</td><th>{t('statistics.stddev')}</th><td>{format(stats.stddev)}</td></tr>
+            <tr><th>{t('statistics.mean')}</th><td>{format(stats.mean)}</td><th>{t('statistics.median')}</th><td>{format(stats.median)}</td></tr>
+            <tr><th>{t('statistics.min')}</th><td>{format(stats.min)}</td><th>{t('statistics.max')}</th><td>{format(stats.max)}</td></tr>
+            <tr><th>{t('statistics.full')}</th><td>{formatShare(stats.fullShare)}</td><th>{t('statistics.zero')}</th><td>{formatShare(stats.zeroShare)}</td></tr>
+          </tbody>
+        </table>
+
+        <ScoreHistogram bins={histogram(entries, limit)} outliers={stats.outliers} />
+
+        {stats.outliers.length > 0 && <div className='small mt-2'>
+          {t('statistics.outliers')}{' '}
+          {stats.outliers.map(user => (
+            <a key={user} className='badge bg-danger text-decoration-none me-1'
+              href={`#${routePath('results', criterion ? { user, criterion } : { user })}`}>
+              {user}: {format(entries.find(e => e.user === user).value)}
+            </a>
+          ))}
+        </div>}
+      </div>}
+    </div>
+  );
+};
+
+export default ScoreStatisticsCard;
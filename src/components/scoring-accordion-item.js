@@ -0,0 +1,59 @@
+import { useCallback } from 'react';
+import { shallowEqual, useSelector } from 'react-redux';
+
+import api from '../api/action-cable';
+import { useTranslation } from '../i18n';
+import { AGGREGATIONS } from '../models/aggregation';
+
+const ScoringAccordionItem = () => {
+  const readOnly = useSelector(s => s.app.readOnly);
+  const scoring = useSelector(s => s.scoring, shallowEqual);
+  const t = useTranslation();
+
+  const update = useCallback(params => api.perform('write_scoring', { ...scoring, ...params }), [scoring]);
+  const onModeChange = useCallback(e => update({ mode: e.target.value }), [update]);
+  const onAggregationChange = useCallback(e => update({ aggregation: e.target.value }), [update]);
+  const onThresholdChange = useCallback(e => update({ threshold: e.target.value }), [update]);
+
+  const independent = scoring.mode === 'independent';
+
+  return (
+    <div className='accordion-item'>
+      <h2 className='accordion-header'>
+        <button className='accordion-button collapsed' type='button' data-bs-toggle='collapse' data-bs-target='#scoring'
+          aria-expanded='false' aria-controls='scoring'>
+          {t('scoring.title')}
+        </button>
+      </h2>
+
+      <div id='scoring' className='accordion-collapse collapse' data-bs-parent='#page-accordion'>
+        <div className='accordion-body d-flex flex-column gap-2'>
+          <div className='form-floating'>
+            <select className='form-select' disabled={readOnly} value={scoring.mode} onChange={onModeChange}>
+              <option value='shared'>{t('scoring.shared')}</option>
+              <option value='independent'>{t('scoring.independent')}</option>
+            </select>
+            <label>{t('scoring.mode')}</label>
+          </div>
+
+          {independent && <div className='d-flex gap-2'>
+            <div className='flex-grow-1 form-floating'>
+              <select className='form-select' disabled={readOnly} value={scoring.aggregation} onChange={onAggregationChange}>
+                {AGGREGATIONS.map(key => <option key={key} value={key}>{t(`aggregation.${key}`)}</option>)}
+              </select>
+              <label>{t('scoring.aggregation')}</label>
+            </div>
+
+            <div className='flex-grow-1 form-floating'>
+              <input className='form-control' type='number' min={0} step='any' disabled={readOnly}
+                value={scoring.threshold} onChange={onThresholdChange} />
+              <label>{t('scoring.threshold')}</label>
+            </div>
+          </div>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScoringAccordionItem;
@@ -0,0 +1,56 @@
+import { useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { ArrowClockwise, ArrowCounterclockwise } from 'react-bootstrap-icons';
+
+import { redo, undo } from '../api/undo';
+import { useTranslation } from '../i18n';
+
+// Text fields, the notes of the result cells included, keep their own undo;
+// only the score inputs of the grid hand it over to the edit history
+const ownsUndo = target => target.isContentEditable || target.tagName === 'TEXTAREA'
+  || (['INPUT', 'SELECT'].includes(target.tagName) && !target.closest('td[data-criterion]'));
+
+const onKeyDown = e => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || ownsUndo(e.target)) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redo();
+  }
+};
+
+const UndoRedoButtons = () => {
+  const readOnly = useSelector(s => s.app.readOnly);
+  const canUndo = useSelector(s => s.undo.past.length > 0);
+  const canRedo = useSelector(s => s.undo.future.length > 0);
+  const t = useTranslation();
+
+  useEffect(
+    () => {
+      if (readOnly) return;
+
+      window.addEventListener('keydown', onKeyDown);
+      return () => window.removeEventListener('keydown', onKeyDown);
+    },
+    [readOnly]
+  );
+
+  if (readOnly) return null;
+
+  return (
+    <div className='btn-group'>
+      <button className='btn btn-outline-secondary' title={t('undo.undo')} disabled={!canUndo} onClick={undo}>
+        <ArrowCounterclockwise />
+      </button>
+      <button className='btn btn-outline-secondary' title={t('undo.redo')} disabled={!canRedo} onClick={redo}>
+        <ArrowClockwise />
+      </button>
+    </div>
+  );
+};
+
+export default UndoRedoButtons;
@@ -1,21 +1,17 @@
-import { shallowEqual, useSelector } from 'react-redux';
-import { round } from 'lodash';
+import { useMemo } from 'react';
+import { useSelector } from 'react-redux';
 
-const UserResult = ({ user }) => {
-  const values = useSelector(
-    s => s.results[user] && Object.values(s.results[user]).map(r => r.value).filter(x => x).map(parseFloat),
-    shallowEqual
-  );
-  const rmValue = useSelector(s => s.resultMultiplier).split('/');
+import { useFormatNumber } from '../i18n';
+import { makeSelectUserTotals } from '../state/selectors';
 
-  const rmNumerator = parseInt(rmValue[0]);
-  const rmDenominator = rmValue[1] ? parseInt(rmValue[1]) : 1;
-
-  const result = values && (values.reduce((x, y) => x + y, 0) * rmNumerator / rmDenominator);
+const UserResult = ({ user }) => {
+  const selectTotals = useMemo(makeSelectUserTotals, []);
+  const result = useSelector(s => selectTotals(s, user).result);
+  const formatNumber = useFormatNumber();
 
   return (
     <div className='input-group'>
-      {result && round(result, 2)}
+      {formatNumber(result)}
     </div>
   );
 };
@@ -1,17 +1,17 @@
-import { shallowEqual, useSelector } from 'react-redux';
-import { round } from 'lodash';
+import { useMemo } from 'react';
+import { useSelector } from 'react-redux';
 
-const UserSum = ({ user }) => {
-  const values = useSelector(
-    s => s.results[user] && Object.values(s.results[user]).map(r => r.value).filter(x => x).map(parseFloat),
-    shallowEqual
-  );
+import { useFormatNumber } from '../i18n';
+import { makeSelectUserTotals } from '../state/selectors';
 
-  const sum = values && values.reduce((x, y) => x + y, 0);
+const UserSum = ({ user }) => {
+  const selectTotals = useMemo(makeSelectUserTotals, []);
+  const sum = useSelector(s => selectTotals(s, user).sum);
+  const formatNumber = useFormatNumber();
 
   return (
     <div className='input-group'>
-      {sum && round(sum, 2)}
+      {formatNumber(sum)}
     </div>
   );
 };
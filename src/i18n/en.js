@@ -0,0 +1,220 @@
+// English
+const en = {
+  'aggregation.mean': 'Mean',
+  'aggregation.median': 'Median',
+  'aggregation.trimmed': 'Mean without extremes',
+
+  'app.loading': 'Loading ...',
+
+  'cell.acquiringLock': 'Acquiring lock ...',
+  'cell.ready': 'Ready',
+  'cell.saving': 'Saving ...',
+
+  'checklist.commented': 'Works commented as missing or unreadable but with non-zero scores',
+  'checklist.discrepancies': 'Discrepancies between judges',
+  'checklist.invalid': 'Invalid values',
+  'checklist.locked': 'Cells others are editing right now',
+  'checklist.missing': 'Empty cells',
+  'checklist.unsaved': 'Unsaved changes',
+
+  'comment.zeroes': '0 points',
+
+  'criteria.add': 'Add a criterion',
+  'criteria.deleteConfirm': 'Are you sure you want to delete criterion "{name}"?',
+  'criteria.limit.boolean': 'Points for "yes"',
+  'criteria.limit.numeric': 'Points',
+  'criteria.limit.penalty': 'Largest penalty',
+  'criteria.name': 'Criterion name',
+  'criteria.options': 'Score options',
+  'criteria.step': 'Step',
+  'criteria.title': 'Criteria',
+  'criteria.type': 'Type',
+  'criteria.type.boolean': 'Yes / no',
+  'criteria.type.numeric': 'Points',
+  'criteria.type.options': 'Options',
+  'criteria.type.penalty': 'Penalty',
+  'criteria.typeLocked': 'The type cannot be changed while there are results',
+
+  'export.csv': 'Export results to CSV',
+  'export.xlsx': 'Export results to XLSX',
+
+  'finish.acknowledge': 'I know about it, finish anyway',
+  'finish.blocking': 'This has to be fixed before finishing',
+  'finish.button': 'Finish grading',
+  'finish.finished': 'The grading is finished',
+  'finish.passed': 'All checks passed',
+  'finish.skipped': 'Could not write the final scores of {skipped} cells: other judges are editing them',
+  'finish.title': 'Finishing the grading of task "{task}"',
+
+  'history.title': 'Change history',
+  'history.you': 'You',
+
+  'import.button': 'Import results from XLSX/CSV',
+  'import.errors': 'Values with errors:',
+  'import.noCodes': 'No participant code was found',
+  'import.progress': 'Written {done} of {total}',
+  'import.skipped': 'skipped because of locks: {skipped}',
+  'import.submit': 'Import',
+  'import.title': 'Import results',
+  'import.unknownUsers': 'Unknown codes:',
+  'import.unmatchedColumns': 'Unrecognized columns:',
+  'import.unreadable': 'Could not read the file',
+  'import.was': 'Was: {value}',
+  'import.writes': 'Values to write:',
+
+  'judges.add': 'Add a judge',
+  'judges.deleteConfirm': 'Are you sure you want to delete judge "{name}"?',
+  'judges.discrepancy': 'The judges’ scores differ by more than {threshold}',
+  'judges.judge': 'Judge',
+  'judges.name': 'Name',
+  'judges.selectSelf': 'Pick yourself from the list',
+  'judges.title': 'Judges',
+
+  'language.label': 'Interface language',
+
+  'list.more': '… and {count} more',
+
+  'lock.editedBy': 'Edited by {name}',
+  'lock.otherClient': 'another client',
+  'lock.since': 'since {time}',
+  'lock.stale': '(not responding, the lock will be released soon)',
+  'lock.takeOverConfirm': 'Take over the lock? This judge\'s unsaved changes will be lost.',
+  'lock.takeOverHint': 'Click to take it over',
+
+  'login.password': 'Password',
+  'login.pending': 'Connecting ...',
+  'login.rejected': 'The server did not accept the password or the link. Check the password and try again.',
+  'login.remember': 'Remember until the browser is closed',
+  'login.submit': 'Sign in',
+  'login.title': 'Judge sign-in',
+
+  'logout.button': 'Sign out',
+  'logout.confirm': 'Sign out of the judge account?',
+
+  'modal.add': 'Add',
+  'modal.cancel': 'Cancel',
+
+  'multiplier.empty': 'Enter a multiplier, e.g. 1, 0.5 or 3/4',
+  'multiplier.invalid': 'Expected an integer, a decimal or a fraction like 3/4',
+  'multiplier.notPositive': 'The multiplier must be greater than zero',
+  'multiplier.title': 'Result multiplier',
+
+  'note.add': 'Add a note',
+  'note.placeholder': 'Note on the score',
+
+  'outbox.unsent': 'Unsent changes: {count}',
+
+  'presence.client': 'Client {id}',
+  'presence.editing': 'Editing a cell',
+  'presence.here': '{name} is here now',
+  'presence.online': 'Online:',
+  'presence.you': '(you)',
+
+  'presets.add': 'Add a preset',
+  'presets.chairOnly': 'Only the chair can change the presets.',
+  'presets.deleteConfirm': 'Are you sure you want to delete preset "{text}"?',
+  'presets.new': 'New preset',
+  'presets.title': 'Comment presets',
+  'presets.zeroes': 'Zeroes the scores',
+
+  'preview.export': 'Export criteria to XLSX',
+  'preview.title': 'Table preview',
+
+  'progress.byCriterion': 'By criterion',
+  'progress.comments': 'Comments',
+  'progress.incomplete': 'Incomplete works ({count})',
+  'progress.missing': 'Empty cells ({count})',
+  'progress.otherComments': 'Other comments:',
+  'progress.title': 'Grading progress',
+
+  'results.title': 'Results',
+  'results.zeroNoSolution': 'Fill in 0 for missing works',
+  'results.zeroNoSolutionConfirm': 'Do you really want to fill in 0 for the missing works of task "{task}"?',
+
+  'scoring.aggregation': 'Final score',
+  'scoring.independent': 'Independent score by every judge',
+  'scoring.mode': 'Mode',
+  'scoring.shared': 'Shared score',
+  'scoring.threshold': 'Allowed discrepancy between judges',
+  'scoring.title': 'Scoring mode',
+
+  'settings.next': 'Next',
+  'settings.title': 'Settings',
+
+  'statistics.count': 'Scores',
+  'statistics.empty': 'No scores yet',
+  'statistics.full': 'Full score',
+  'statistics.heading': 'Score statistics',
+  'statistics.max': 'Maximum',
+  'statistics.mean': 'Mean',
+  'statistics.median': 'Median',
+  'statistics.min': 'Minimum',
+  'statistics.outliers': 'Outliers:',
+  'statistics.stddev': 'Std. deviation',
+  'statistics.title': 'Statistics',
+  'statistics.zero': 'Zeros',
+
+  'table.code': 'Code',
+  'table.comment': 'Comment',
+  'table.notes': 'Notes',
+  'table.result': 'Result',
+  'table.sum': 'Sum',
+
+  'task.contest': 'Contest:',
+  'task.task': 'Task:',
+
+  'template.append': 'Add to the existing ones',
+  'template.apply': 'Apply the template',
+  'template.change.add': 'Will be added',
+  'template.change.blocked': 'Will not be deleted: it has results',
+  'template.change.blockedType': 'The type will not change: it has results',
+  'template.change.delete': 'Will be deleted',
+  'template.change.keep': 'Unchanged',
+  'template.change.update': 'Type, points or step will change',
+  'template.exportJSON': 'Export the template to JSON',
+  'template.exportXLSX': 'Export the template to XLSX',
+  'template.fileSuffix': 'template',
+  'template.notConfirmed': 'The server did not confirm the changes, check the criteria list',
+  'template.replace': 'Replace the existing ones',
+  'template.stepChange': 'step {from} → {to}',
+  'template.title': 'Criteria template',
+  'template.unreadable': 'Could not read the template',
+  'template.willChange': 'Will change',
+
+  'toast.connected': 'Successfully connected to the server.',
+  'toast.demoMode': 'Demo mode: the data is kept in this browser only.',
+  'toast.disconnected': 'Disconnected from the server.',
+  'toast.noTask': 'Incorrect URL - no task id',
+  'toast.rejectedMessage': 'Rejected server message: {error}',
+  'toast.undoConflict': 'Cannot undo: the cell has been changed by someone else since then.',
+  'toast.undoSkipped': 'Cells being edited by someone else: {skipped}. They were left as they are.',
+
+  'toolbar.ascending': 'Ascending',
+  'toolbar.descending': 'Descending',
+  'toolbar.filter.all': 'All works',
+  'toolbar.filter.commented': 'With a comment',
+  'toolbar.filter.incomplete': 'Incomplete',
+  'toolbar.filter.mine': 'Edited by me',
+  'toolbar.refresh': 'Refresh the row order',
+  'toolbar.search': 'Search by code',
+  'toolbar.shown': 'Showing {shown} of {total}',
+  'toolbar.sort': 'Sort',
+  'toolbar.sort.code': 'By code',
+  'toolbar.sort.order': 'As on the server',
+  'toolbar.sort.result': 'By result',
+  'toolbar.sort.sum': 'By sum',
+
+  'undo.redo': 'Redo (Ctrl+Shift+Z)',
+  'undo.undo': 'Undo (Ctrl+Z)',
+
+  'validation.boolean': 'Only 0 or {limit}',
+  'validation.negative': 'Negative value',
+  'validation.notNumber': 'Not a number',
+  'validation.options': 'Only one of the options: {options}',
+  'validation.overLimit': 'More than {limit}',
+  'validation.positivePenalty': 'A penalty must be negative or 0',
+  'validation.step': 'Not a multiple of the step {step}',
+  'validation.underLimit': 'Less than {limit}',
+};
+
+export default en;
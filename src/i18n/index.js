@@ -0,0 +1,47 @@
+import { useCallback } from 'react';
+import { useSelector } from 'react-redux';
+
+import localeSlice, { storedLocale, storeLocale } from '../state/locale';
+import en from './en';
+import uk from './uk';
+
+const CATALOGS = { uk, en };
+
+// Each language is named in itself, so the switcher stays readable whatever language is active
+export const LANGUAGES = { uk: 'Українська', en: 'English' };
+
+let current = storedLocale();
+document.documentElement.lang = current;
+
+// Keys missing from a catalog fall back to Ukrainian, the language the app was written in
+export const translate = (locale, key, params = {}) => {
+  const text = CATALOGS[locale]?.[key] ?? CATALOGS.uk[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match);
+};
+
+// For messages built outside of components: toasts, confirmations, models and utils
+export const t = (key, params) => translate(current, key, params);
+
+// Scores are rounded before they are shown, the digits limit only hides floating point noise
+export const formatNumber = (value, locale = current) => {
+  if (value === '' || value === null || value === undefined || !Number.isFinite(+value)) return value;
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: 10 }).format(+value);
+};
+
+// Remembers the language in the browser and returns the action that re-renders the components
+export const changeLocale = locale => {
+  current = locale;
+  storeLocale(locale);
+  document.documentElement.lang = locale;
+  return localeSlice.actions.set(locale);
+};
+
+export const useTranslation = () => {
+  const locale = useSelector(s => s.locale);
+  return useCallback((key, params) => translate(locale, key, params), [locale]);
+};
+
+export const useFormatNumber = () => {
+  const locale = useSelector(s => s.locale);
+  return useCallback(value => formatNumber(value, locale), [locale]);
+};
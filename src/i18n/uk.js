@@ -0,0 +1,220 @@
+// Ukrainian, the language the app was written in: every other catalog falls back to it
+const uk = {
+  'aggregation.mean': 'Середнє',
+  'aggregation.median': 'Медіана',
+  'aggregation.trimmed': 'Середнє без крайніх',
+
+  'app.loading': 'Завантаження ...',
+
+  'cell.acquiringLock': 'Отримання блокування ...',
+  'cell.ready': 'Готово',
+  'cell.saving': 'Збереження ...',
+
+  'checklist.commented': 'Роботи з коментарем про відсутність роботи, але з ненульовими балами',
+  'checklist.discrepancies': 'Розбіжності оцінок журі',
+  'checklist.invalid': 'Недопустимі значення',
+  'checklist.locked': 'Клітинки, які зараз редагують інші',
+  'checklist.missing': 'Порожні клітинки',
+  'checklist.unsaved': 'Незбережені зміни',
+
+  'comment.zeroes': '0 балів',
+
+  'criteria.add': 'Додати критерій',
+  'criteria.deleteConfirm': 'Ви дійсно бажаєте видалити критерій "{name}"?',
+  'criteria.limit.boolean': 'Бали за «так»',
+  'criteria.limit.numeric': 'Кількість балів',
+  'criteria.limit.penalty': 'Найбільший штраф',
+  'criteria.name': 'Назва критерію',
+  'criteria.options': 'Варіанти балів',
+  'criteria.step': 'Крок',
+  'criteria.title': 'Критерії',
+  'criteria.type': 'Тип',
+  'criteria.type.boolean': 'Так / ні',
+  'criteria.type.numeric': 'Бали',
+  'criteria.type.options': 'Варіанти',
+  'criteria.type.penalty': 'Штраф',
+  'criteria.typeLocked': 'Тип не можна змінити, поки є результати',
+
+  'export.csv': 'Експортувати результати в CSV',
+  'export.xlsx': 'Експортувати результати в XLSX',
+
+  'finish.acknowledge': 'Я знаю про це, завершити все одно',
+  'finish.blocking': 'Це потрібно виправити перед завершенням',
+  'finish.button': 'Завершити перевірку',
+  'finish.finished': 'Перевірку завершено',
+  'finish.passed': 'Усі перевірки пройдено',
+  'finish.skipped': 'Не вдалося записати підсумкові оцінки для {skipped} клітинок: їх редагують інші члени журі',
+  'finish.title': 'Завершення перевірки завдання "{task}"',
+
+  'history.title': 'Історія змін',
+  'history.you': 'Ви',
+
+  'import.button': 'Імпортувати результати з XLSX/CSV',
+  'import.errors': 'Значень з помилками:',
+  'import.noCodes': 'Не знайдено жодного коду учасника',
+  'import.progress': 'Записано {done} з {total}',
+  'import.skipped': 'пропущено через блокування: {skipped}',
+  'import.submit': 'Імпортувати',
+  'import.title': 'Імпорт результатів',
+  'import.unknownUsers': 'Невідомі коди:',
+  'import.unmatchedColumns': 'Нерозпізнані стовпці:',
+  'import.unreadable': 'Не вдалося прочитати файл',
+  'import.was': 'Було: {value}',
+  'import.writes': 'Буде записано значень:',
+
+  'judges.add': 'Додати члена журі',
+  'judges.deleteConfirm': 'Ви дійсно бажаєте видалити члена журі "{name}"?',
+  'judges.discrepancy': 'Оцінки журі відрізняються більше ніж на {threshold}',
+  'judges.judge': 'Член журі',
+  'judges.name': 'Ім\'я',
+  'judges.selectSelf': 'Оберіть себе зі списку',
+  'judges.title': 'Члени журі',
+
+  'language.label': 'Мова інтерфейсу',
+
+  'list.more': '… та ще {count}',
+
+  'lock.editedBy': 'Редагує {name}',
+  'lock.otherClient': 'інший клієнт',
+  'lock.since': 'з {time}',
+  'lock.stale': '(не відповідає, блокування скоро зніметься)',
+  'lock.takeOverConfirm': 'Перехопити блокування? Незбережені зміни цього члена журі буде втрачено.',
+  'lock.takeOverHint': 'Натисніть, щоб перехопити',
+
+  'login.password': 'Пароль',
+  'login.pending': 'Підключення ...',
+  'login.rejected': 'Сервер не прийняв пароль або посилання. Перевірте пароль і спробуйте ще раз.',
+  'login.remember': 'Запам\'ятати до закриття браузера',
+  'login.submit': 'Увійти',
+  'login.title': 'Вхід для журі',
+
+  'logout.button': 'Вийти',
+  'logout.confirm': 'Вийти з облікового запису журі?',
+
+  'modal.add': 'Додати',
+  'modal.cancel': 'Скасувати',
+
+  'multiplier.empty': 'Вкажіть множник, наприклад 1, 0.5 або 3/4',
+  'multiplier.invalid': 'Очікується ціле число, десятковий дріб або дріб на кшталт 3/4',
+  'multiplier.notPositive': 'Множник має бути більшим за нуль',
+  'multiplier.title': 'Множник до результату',
+
+  'note.add': 'Додати примітку',
+  'note.placeholder': 'Примітка до оцінки',
+
+  'outbox.unsent': 'Невідправлених змін: {count}',
+
+  'presence.client': 'Клієнт {id}',
+  'presence.editing': 'Редагує клітинку',
+  'presence.here': 'Тут зараз {name}',
+  'presence.online': 'Онлайн:',
+  'presence.you': '(ви)',
+
+  'presets.add': 'Додати шаблон',
+  'presets.chairOnly': 'Шаблони може змінювати лише голова журі.',
+  'presets.deleteConfirm': 'Ви дійсно бажаєте видалити шаблон "{text}"?',
+  'presets.new': 'Новий шаблон',
+  'presets.title': 'Шаблони коментарів',
+  'presets.zeroes': 'Обнуляє бали',
+
+  'preview.export': 'Експортувати критерії в XLSX',
+  'preview.title': 'Попередній перегляд таблиці',
+
+  'progress.byCriterion': 'За критеріями',
+  'progress.comments': 'Коментарі',
+  'progress.incomplete': 'Незаповнені роботи ({count})',
+  'progress.missing': 'Порожні клітинки ({count})',
+  'progress.otherComments': 'Інші коментарі:',
+  'progress.title': 'Прогрес перевірки',
+
+  'results.title': 'Результати',
+  'results.zeroNoSolution': 'Заповнити 0 для відсутніх робіт',
+  'results.zeroNoSolutionConfirm': 'Ви дійсно бажаєте заповнити 0 для відсутніх робіт до завдання "{task}"?',
+
+  'scoring.aggregation': 'Підсумкова оцінка',
+  'scoring.independent': 'Незалежна оцінка кожним членом журі',
+  'scoring.mode': 'Режим',
+  'scoring.shared': 'Спільна оцінка',
+  'scoring.threshold': 'Допустима розбіжність між журі',
+  'scoring.title': 'Режим оцінювання',
+
+  'settings.next': 'Далі',
+  'settings.title': 'Налаштування',
+
+  'statistics.count': 'Оцінок',
+  'statistics.empty': 'Оцінок ще немає',
+  'statistics.full': 'Повний бал',
+  'statistics.heading': 'Статистика оцінок',
+  'statistics.max': 'Максимум',
+  'statistics.mean': 'Середнє',
+  'statistics.median': 'Медіана',
+  'statistics.min': 'Мінімум',
+  'statistics.outliers': 'Викиди:',
+  'statistics.stddev': 'Відхилення',
+  'statistics.title': 'Статистика',
+  'statistics.zero': 'Нулі',
+
+  'table.code': 'Код',
+  'table.comment': 'Коментар',
+  'table.notes': 'Примітки',
+  'table.result': 'Результат',
+  'table.sum': 'Сума',
+
+  'task.contest': 'Змагання:',
+  'task.task': 'Задача:',
+
+  'template.append': 'Додати до наявних',
+  'template.apply': 'Застосувати шаблон',
+  'template.change.add': 'Буде додано',
+  'template.change.blocked': 'Не буде видалено: є результати',
+  'template.change.blockedType': 'Тип не зміниться: є результати',
+  'template.change.delete': 'Буде видалено',
+  'template.change.keep': 'Без змін',
+  'template.change.update': 'Зміниться тип, кількість балів або крок',
+  'template.exportJSON': 'Експортувати шаблон в JSON',
+  'template.exportXLSX': 'Експортувати шаблон в XLSX',
+  'template.fileSuffix': 'шаблон',
+  'template.notConfirmed': 'Сервер не підтвердив зміни, перевірте список критеріїв',
+  'template.replace': 'Замінити наявні',
+  'template.stepChange': 'крок {from} → {to}',
+  'template.title': 'Шаблон критеріїв',
+  'template.unreadable': 'Не вдалося прочитати шаблон',
+  'template.willChange': 'Зміниться',
+
+  'toast.connected': 'Підключено до сервера.',
+  'toast.demoMode': 'Демонстраційний режим: дані зберігаються лише в цьому браузері.',
+  'toast.disconnected': 'З\'єднання з сервером втрачено.',
+  'toast.noTask': 'Неправильна адреса: не вказано задачу',
+  'toast.rejectedMessage': 'Сервер надіслав неочікуване повідомлення: {error}',
+  'toast.undoConflict': 'Неможливо скасувати: відтоді клітинку змінив хтось інший.',
+  'toast.undoSkipped': 'Клітинок, які зараз редагує хтось інший: {skipped}. Їх залишено без змін.',
+
+  'toolbar.ascending': 'За зростанням',
+  'toolbar.descending': 'За спаданням',
+  'toolbar.filter.all': 'Усі роботи',
+  'toolbar.filter.commented': 'З коментарем',
+  'toolbar.filter.incomplete': 'Незаповнені',
+  'toolbar.filter.mine': 'Редаговані мною',
+  'toolbar.refresh': 'Оновити порядок рядків',
+  'toolbar.search': 'Пошук за кодом',
+  'toolbar.shown': 'Показано {shown} з {total}',
+  'toolbar.sort': 'Сортувати',
+  'toolbar.sort.code': 'За кодом',
+  'toolbar.sort.order': 'Як на сервері',
+  'toolbar.sort.result': 'За результатом',
+  'toolbar.sort.sum': 'За сумою',
+
+  'undo.redo': 'Повторити (Ctrl+Shift+Z)',
+  'undo.undo': 'Скасувати (Ctrl+Z)',
+
+  'validation.boolean': 'Лише 0 або {limit}',
+  'validation.negative': 'Від\'ємне значення',
+  'validation.notNumber': 'Не число',
+  'validation.options': 'Лише один з варіантів: {options}',
+  'validation.overLimit': 'Більше ніж {limit}',
+  'validation.positivePenalty': 'Штраф має бути від\'ємним або 0',
+  'validation.step': 'Не кратне кроку {step}',
+  'validation.underLimit': 'Менше ніж {limit}',
+};
+
+export default uk;
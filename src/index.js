@@ -9,6 +9,7 @@ import 'react-toastify/dist/ReactToastify.css';
 import './index.css';
 
 import App from './app';
+import OutboxStatus from './components/outbox-status';
 import Revision from './revision';
 import store from './state';
 
@@ -17,6 +18,7 @@ ReactDOM.render(
     <Provider store={store}>
       <ToastContainer position='top-right' autoClose={false} closeOnClick={false} draggable={false} />
       <Revision />
+      <OutboxStatus />
       <App />
     </Provider>
   </React.StrictMode>,
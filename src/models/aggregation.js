@@ -0,0 +1,43 @@
+import Fraction from '../utils/fraction';
+
+export const AGGREGATIONS = ['mean', 'median', 'trimmed'];
+
+const compare = (a, b) => a.sub(b).sign();
+
+const mean = values => values.reduce((x, y) => x.add(y)).div(new Fraction(BigInt(values.length)));
+
+const median = sorted => {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : mean([sorted[middle - 1], sorted[middle]]);
+};
+
+const parseAll = values => values
+  .map(v => v === '' || v === null || v === undefined ? null : Fraction.parse(v))
+  .filter(x => x)
+  .sort(compare);
+
+// Combines the values of all judges into one; the extremes are dropped only when there are at least three values
+export const aggregate = (values, method) => {
+  const sorted = parseAll(values);
+  if (!sorted.length) return null;
+
+  switch (method) {
+    case 'median':
+      return median(sorted);
+
+    case 'trimmed':
+      return mean(sorted.length >= 3 ? sorted.slice(1, -1) : sorted);
+
+    default:
+      return mean(sorted);
+  }
+};
+
+// Judges disagree when the spread between the highest and the lowest value exceeds the threshold
+export const hasDiscrepancy = (values, threshold) => {
+  const limit = Fraction.parse(threshold);
+  const sorted = parseAll(values);
+  if (!limit || sorted.length < 2) return false;
+
+  return compare(sorted.at(-1).sub(sorted[0]), limit) > 0;
+};
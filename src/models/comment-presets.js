@@ -0,0 +1,9 @@
+// Quick comments offered in the comment cell until the chair sets up the task's own list.
+// They are the task's data shared by all judges, so they stay in one language whatever the interface shows.
+export const DEFAULT_COMMENT_PRESETS = [
+  'Немає роботи', 'Робота з умови', 'Пустий файл',
+  'Пустий файл 0 Кб. Не відкривається.', 'Не відкривається (не пустий файл)',
+].map((text, i) => ({ id: `default-${i}`, text, zero_results: true }));
+
+// Presets of works that cannot be graded: choosing one zeroes the row, so scores next to them are suspicious
+export const zeroingComments = presets => presets.filter(p => p.zero_results).map(p => p.text.trim());
@@ -1,10 +1,57 @@
 import { compact } from 'lodash';
+import { t } from '../i18n';
 import RoundRobinIterator from '../utils/round-robin-iterator';
+import { computeResult, roundScore, sumValues } from './scoring';
+
+export const CRITERION_TYPES = ['numeric', 'boolean', 'options', 'penalty'];
+
+// Criteria created before types existed have none and are numeric
+export const criterionType = ({ type }) => CRITERION_TYPES.includes(type) ? type : 'numeric';
+
+// A yes/no or an options criterion takes one of a fixed set of values and has no step
+export const isDiscrete = type => type === 'boolean' || type === 'options';
+
+// "0/2/5" or "0; 2,5; 5": slashes, semicolons or spaces separate the options, a comma may be the decimal mark
+export const parseOptions = text => [...new Set(
+  String(text ?? '').split(/[\s/;]+/).map(o => parseFloat(o.replace(',', '.'))).filter(Number.isFinite)
+)].sort((a, b) => a - b);
+
+// The most a criterion can add to the sum: a penalty only ever takes points away
+export const maxScore = criterion => {
+  switch (criterionType(criterion)) {
+    case 'options': {
+      const options = parseOptions(criterion.options);
+      return options.length ? Math.max(...options) : '';
+    }
+    case 'penalty':
+      return 0;
+    default:
+      return criterion.limit;
+  }
+};
+
+// Penalties are entered as negative values down to minus their limit, everything else starts at zero
+export const minScore = criterion => criterionType(criterion) === 'penalty' ? -parseFloat(criterion.limit) : 0;
+
+const limitText = criterion => {
+  switch (criterionType(criterion)) {
+    case 'options':
+      return parseOptions(criterion.options).join(' / ');
+    case 'penalty':
+      return criterion.limit === '' || criterion.limit === null || criterion.limit === undefined ? '' : `−${criterion.limit}`;
+    default:
+      return criterion.limit;
+  }
+};
 
 class Criterion {
   constructor(props) {
     this.id = props.id;
+    this.type = criterionType(props);
     this.limit = props.limit;
+    this.step = props.step;
+    this.options = props.options;
+    this.maxScore = maxScore(props);
     this.className = props.className;
     this.nameLevels = props.name.split('/').map(l => l.trim());
   }
@@ -17,13 +64,13 @@ class Criterion {
 const buildInfoCell = (text, maxDepth, className = 'bg-info bg-opacity-25') =>
   ({ text, key: text, rowSpan: maxDepth + 1, className });
 
-export const buildCriteria = (props, rmNumerator, rmDenominator)  => {
+export const buildCriteria = (props, multiplier)  => {
   const criteria = props.map(p => new Criterion(p));
   const maxDepth = Math.max.apply(null, criteria.map(c => c.nameLevels.length));
 
   const headerRows = Array.from({ length: maxDepth + 1 }, () => []);
   headerRows[0].push(buildInfoCell('#', maxDepth, 'bg-info'));
-  headerRows[0].push(buildInfoCell('Код', maxDepth, 'bg-info sticky-left'));
+  headerRows[0].push(buildInfoCell(t('table.code'), maxDepth, 'bg-info sticky-left'));
 
   const colors = new RoundRobinIterator(['primary', 'secondary', 'success', 'warning']);
 
@@ -57,14 +104,14 @@ export const buildCriteria = (props, rmNumerator, rmDenominator)  => {
     }
   }
 
-  headerRows[0].push(buildInfoCell('Cума', maxDepth - 1));
-  headerRows[0].push(buildInfoCell('Результат', maxDepth - 1));
-  headerRows[0].push(buildInfoCell('Коментар', maxDepth));
-  headerRows[maxDepth] = criteria.map(({ id, limit, className }) => ({ key: id, text: limit, className }));
-  const sum = criteria.map(item => item.limit).filter(x => x).reduce((prev, next) => prev + parseFloat(next), 0);
-  const result = sum * rmNumerator / rmDenominator;
-  headerRows[maxDepth].push({ key: 'id_sum', text: sum, className: 'bg-info bg-opacity-25' })
-  headerRows[maxDepth].push({ key: 'id_result', text: result, className: 'bg-info bg-opacity-25' })
+  headerRows[0].push(buildInfoCell(t('table.sum'), maxDepth - 1));
+  headerRows[0].push(buildInfoCell(t('table.result'), maxDepth - 1));
+  headerRows[0].push(buildInfoCell(t('table.comment'), maxDepth));
+  headerRows[maxDepth] = criteria.map(criterion => ({ key: criterion.id, text: limitText(criterion), className: criterion.className }));
+  const sum = sumValues(criteria.map(item => item.maxScore));
+  const result = computeResult(sum, multiplier);
+  headerRows[maxDepth].push({ key: 'id_sum', text: roundScore(sum), className: 'bg-info bg-opacity-25' })
+  headerRows[maxDepth].push({ key: 'id_result', text: roundScore(result), className: 'bg-info bg-opacity-25' })
 
   return [criteria, headerRows.map(compact)];
 };
@@ -0,0 +1,31 @@
+import { t } from '../i18n';
+import Fraction from '../utils/fraction';
+
+// The single rounding rule for every sum and result shown or exported
+export const ROUNDING = {
+  digits: parseInt(process.env.REACT_APP_ROUNDING_DIGITS ?? '2'),
+  mode: process.env.REACT_APP_ROUNDING_MODE || 'half-up',
+};
+
+export const parseMultiplier = text => {
+  if (!String(text ?? '').trim())
+    return { value: null, error: t('multiplier.empty') };
+
+  const value = Fraction.parse(text);
+  if (!value)
+    return { value: null, error: t('multiplier.invalid') };
+  if (value.sign() <= 0)
+    return { value: null, error: t('multiplier.notPositive') };
+
+  return { value, error: null };
+};
+
+// Exact sum of the values that parse as numbers; null when there are none
+export const sumValues = values => {
+  const fractions = values.map(v => v === '' || v === null || v === undefined ? null : Fraction.parse(v)).filter(x => x);
+  return fractions.length ? fractions.reduce((x, y) => x.add(y)) : null;
+};
+
+export const computeResult = (sum, multiplier) => sum && multiplier && sum.mul(multiplier);
+
+export const roundScore = fraction => fraction ? fraction.round(ROUNDING.digits, ROUNDING.mode).toNumber() : '';
@@ -6,11 +6,16 @@ import ResultsTablePreview from '../components/results-table-preview';
 import CriteriaListAccordionItem from '../components/criteria-list-accordion-item';
 import JudgesListAccordionItem from '../components/judges-list-accordion-item';
 import ResultMultiplierAccordionItem from '../components/result-multiplier-accordion-item';
+import CriteriaTemplateAccordionItem from '../components/criteria-template-accordion-item';
+import ScoringAccordionItem from '../components/scoring-accordion-item';
+import CommentPresetsAccordionItem from '../components/comment-presets-accordion-item';
+import { useTranslation } from '../i18n';
 
 const CriteriaEditPage = ({ next }) => {
   const nextDisabled = useSelector(s => s.criteria.some(c => c.dirty));
   const contestName = useSelector(s => s.app.contest_name);
   const taskName = useSelector(s => s.app.task_name);
+  const t = useTranslation();
 
   const handleNext = useCallback(() => {
     window.scrollTo({ top: 0, behavior: 'instant' });
@@ -19,25 +24,28 @@ const CriteriaEditPage = ({ next }) => {
 
   return (
     <div className='p-2'>
-      <h1 className='mb-2'>Налаштування</h1>
+      <h1 className='mb-2'>{t('settings.title')}</h1>
       <hr />
 
       <div className='alert alert-info' role='alert'>
-        <p className='mb-0'><strong>Змагання:</strong> {contestName}</p>
-        <p className='mb-0'><strong>Задача:</strong> {taskName}</p>
+        <p className='mb-0'><strong>{t('task.contest')}</strong> {contestName}</p>
+        <p className='mb-0'><strong>{t('task.task')}</strong> {taskName}</p>
       </div>
 
       <div id='page-accordion' className='accordion accordion-flush'>
         <CriteriaListAccordionItem />
         <JudgesListAccordionItem />
         <ResultMultiplierAccordionItem />
+        <ScoringAccordionItem />
+        <CommentPresetsAccordionItem />
+        <CriteriaTemplateAccordionItem />
       </div>
 
       <button className='btn btn-primary mt-1  d-block w-100 text-center' onClick={handleNext} disabled={nextDisabled}>
-        Далі <ArrowRightSquareFill />
+        {t('settings.next')} <ArrowRightSquareFill />
       </button>
 
-      <h1 className='mt-4 mb-2'>Попередній перегляд таблиці</h1>
+      <h1 className='mt-4 mb-2'>{t('preview.title')}</h1>
       <ResultsTablePreview />
     </div>
   );
@@ -0,0 +1,56 @@
+import { useCallback, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { BoxArrowInRight } from 'react-bootstrap-icons';
+
+import { signIn } from '../api/action-cable';
+import LanguageSelect from '../components/language-select';
+import { useTranslation } from '../i18n';
+
+const LoginPage = () => {
+  const login = useSelector(s => s.app.login);
+  const t = useTranslation();
+  const [password, setPassword] = useState('');
+  const [remember, setRemember] = useState(false);
+
+  const pending = login === 'pending';
+
+  const onPasswordChange = useCallback(e => setPassword(e.target.value), [setPassword]);
+  const onRememberChange = useCallback(e => setRemember(e.target.checked), [setRemember]);
+  const performSubmit = useCallback(
+    e => { e.preventDefault(); signIn({ password }, { remember }); },
+    [password, remember]
+  );
+
+  return (
+    <div className='p-2 mx-auto mt-5' style={{ maxWidth: 400 }}>
+      <div className='d-flex align-items-center mb-3'>
+        <h1 className='mb-0'>{t('login.title')}</h1>
+        <LanguageSelect />
+      </div>
+
+      {login === 'rejected' && <div className='alert alert-danger'>
+        {t('login.rejected')}
+      </div>}
+
+      <form onSubmit={performSubmit}>
+        <div className='form-floating mb-2'>
+          <input className='form-control' type='password' autoFocus autoComplete='current-password'
+            disabled={pending} value={password} onChange={onPasswordChange} />
+          <label>{t('login.password')}</label>
+        </div>
+
+        <div className='form-check mb-3'>
+          <input className='form-check-input' type='checkbox' id='login-remember'
+            disabled={pending} checked={remember} onChange={onRememberChange} />
+          <label className='form-check-label' htmlFor='login-remember'>{t('login.remember')}</label>
+        </div>
+
+        <button type='submit' className='btn btn-primary w-100' disabled={pending || !password}>
+          {pending ? t('login.pending') : <>{t('login.submit')} <BoxArrowInRight /></>}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
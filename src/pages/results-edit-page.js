@@ -1,82 +1,189 @@
-import { useCallback } from 'react';
-import { shallowEqual, useSelector } from 'react-redux';
+import { memo, useCallback, useEffect, useReducer, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useDispatch, useSelector, useStore } from 'react-redux';
 
-import api from '../api/action-cable';
+import api, { clientId } from '../api/action-cable';
 
 import Header from '../components/results-table-header';
 import ResultForm from '../components/result-form';
+import JudgeResultsCell from '../components/judge-results-cell';
+import JudgeSelect from '../components/judge-select';
 import CommentForm from '../components/comment-form';
+import ResultNote from '../components/result-note';
 import UserSum from '../components/user-sum';
 import UserResult from '../components/user-result';
-import { buildCriteria } from '../models/criterion';
-
-export const DataX = ({ users, criteria }) => <>
-  {users.map((secret, index) => (
-    <tr key={secret}>
-      <td className='bg-info'>{index + 1}</td>
-      <td className='sticky-left bg-info'>{secret}</td>
-      {criteria.map(criterion => (
-        <td key={criterion.id} className={criterion.className}>
-          <ResultForm user={secret} criterion={criterion.id} max={criterion.limit} />
-        </td>
-      ))}
-      <td>
-        <UserSum user={secret} />
-      </td>
-      <td>
-        <UserResult user={secret} />
-      </td>
-      <td>
-        <CommentForm user={secret} />
+import ResultsExportButtons from '../components/results-export-buttons';
+import ResultsImportModal from '../components/results-import-modal';
+import UndoRedoButtons from '../components/undo-redo-buttons';
+import ProgressPanel from '../components/progress-panel';
+import FinishChecklistModal from '../components/finish-checklist-modal';
+import ResultsTableToolbar from '../components/results-table-toolbar';
+import { useTranslation } from '../i18n';
+import { selectMultiplier } from '../state/result-multiplier';
+import { selectCriteriaModel, selectVisibleUsers } from '../state/selectors';
+import tableViewSlice from '../state/table-view';
+import { routePath } from '../utils/routing';
+import { useVirtualRows } from '../utils/virtual-rows';
+
+export const userRowId = user => `user-row-${user}`;
+
+// Rows re-render only when their own props change, not with every update of the page around them
+const UserRow = memo(({ user, number, criteria, independent, highlighted }) => (
+  <tr id={userRowId(user)} data-row className={highlighted ? 'row-highlight' : undefined}>
+    <td className='bg-info'>{number}</td>
+    <td className='sticky-left bg-info'>
+      <a className='text-reset text-decoration-none' href={`#${routePath('results', { user })}`}>{user}</a>
+    </td>
+    {criteria.map(criterion => (
+      <td key={criterion.id} className={criterion.className} data-criterion={criterion.id}>
+        <div className='position-relative'>
+          {independent
+            ? <JudgeResultsCell user={user} criterion={criterion.id} type={criterion.type} max={criterion.limit}
+              step={criterion.step} options={criterion.options} />
+            : <ResultForm user={user} criterion={criterion.id} type={criterion.type} max={criterion.limit}
+              step={criterion.step} options={criterion.options} />}
+          <ResultNote user={user} criterion={criterion.id} />
+        </div>
       </td>
-    </tr>
-  ))}
-</>;
+    ))}
+    <td>
+      <UserSum user={user} />
+    </td>
+    <td>
+      <UserResult user={user} />
+    </td>
+    <td>
+      <CommentForm user={user} />
+    </td>
+  </tr>
+));
+
+const PaddingRow = ({ height, columns }) => height > 0 ? (
+  <tr aria-hidden='true'>
+    <td colSpan={columns} className='p-0 border-0' style={{ height }} />
+  </tr>
+) : null;
+
+export const DataX = ({ users, criteria, independent, highlightUser, rows }) => {
+  const { start = 0, end = users.length, paddingTop = 0, paddingBottom = 0 } = rows || {};
+  const columns = criteria.length + 5;
 
-const ResultsEditPage = () => {
+  return <>
+    <PaddingRow height={paddingTop} columns={columns} />
+    {users.slice(start, end).map((secret, index) => (
+      <UserRow key={secret} user={secret} number={start + index + 1} criteria={criteria} independent={independent}
+        highlighted={secret === highlightUser} />
+    ))}
+    <PaddingRow height={paddingBottom} columns={columns} />
+  </>;
+};
+
+const ResultsEditPage = ({ highlightUser, highlightCriterion }) => {
   const readOnly = useSelector(s => s.app.readOnly);
   const contest_name = useSelector(s => s.app.contest_name);
   const task_name = useSelector(s => s.app.task_name);
   const users = useSelector(s => s.users);
-  const criteriaProps = useSelector(s => s.criteria, shallowEqual);
-  const rmValue = useSelector(s => s.resultMultiplier).split('/');
-  const rmNumerator = parseInt(rmValue[0]);
-  const rmDenominator = rmValue[1] ? parseInt(rmValue[1]) : 1;
-  const [criteria, headerRows] = buildCriteria(criteriaProps, rmNumerator, rmDenominator);
-
-  const finishCriterion = useCallback(
-    () => window.confirm(`Ви дійсно бажаєте завершити перевірку завдання "${task_name}"?`) && api.perform('finish'),
-    [task_name]
+  const { value: multiplier } = useSelector(selectMultiplier);
+  const [criteria, headerRows] = useSelector(selectCriteriaModel);
+  const independent = useSelector(s => s.scoring.mode === 'independent');
+  const tableView = useSelector(s => s.tableView);
+  const store = useStore();
+  const dispatch = useDispatch();
+  const t = useTranslation();
+  const [visibleUsers, setVisibleUsers] = useState(() => selectVisibleUsers(store.getState(), clientId));
+  const [refreshes, refresh] = useReducer(x => x + 1, 0);
+  const highlightIndex = visibleUsers.indexOf(highlightUser);
+  const highlightShown = highlightIndex >= 0;
+  const bodyRef = useRef(null);
+  const rows = useVirtualRows(visibleUsers.length, bodyRef);
+  const { start, end, scrollToRow } = rows;
+  const highlightRendered = highlightIndex >= start && highlightIndex < end;
+  const highlightPending = useRef(false);
+
+  // values are read once per change of the view, so edits do not move or hide the row being edited
+  useEffect(
+    () => setVisibleUsers(selectVisibleUsers(store.getState(), clientId)),
+    [store, users, criteria, tableView, refreshes]
+  );
+
+  useEffect(
+    () => {
+      if (highlightUser && users.includes(highlightUser) && !highlightShown) {
+        dispatch(tableViewSlice.actions.setFilter('all'));
+        dispatch(tableViewSlice.actions.setSearch(''));
+      }
+    },
+    [highlightUser, users, highlightShown, dispatch]
+  );
+
+  useEffect(
+    () => { highlightPending.current = true; },
+    [highlightUser, highlightCriterion]
+  );
+
+  // a row outside of the rendered window is scrolled to first, the effect runs again once it is rendered
+  useEffect(
+    () => {
+      if (!highlightPending.current || !highlightShown) return;
+      if (!highlightRendered) return scrollToRow(highlightIndex);
+
+      const row = document.getElementById(userRowId(highlightUser));
+      if (!row) return;
+
+      highlightPending.current = false;
+      row.scrollIntoView({ block: 'center' });
+      if (highlightCriterion)
+        row.querySelector(`td[data-criterion="${CSS.escape(highlightCriterion)}"] :is(input, select):not(:disabled)`)?.focus();
+    },
+    [highlightUser, highlightCriterion, highlightShown, highlightRendered, highlightIndex, scrollToRow]
   );
 
   const zeroNoSolution = useCallback(
-    () => window.confirm(`Ви дійсно бажаєте заповнити 0 для відсутніх робіт до завдання "${task_name}"?`)
-      && api.perform('zero_no_solution'),
-    [task_name]
+    () => window.confirm(t('results.zeroNoSolutionConfirm', { task: task_name })) && api.perform('zero_no_solution'),
+    [task_name, t]
   );
 
   return (
     <div className='p-2'>
-      <h2 className='mb-2'>Змагання: {contest_name}</h2>
-      <h2 className='mb-2'>Задача: {task_name}</h2>
-      {readOnly && <div className='alert alert-warning'>Перевірку завершено</div>}
+      <div className='d-flex justify-content-between'>
+        {!readOnly && <a className='btn btn-link px-0' href='#criteria'>← {t('settings.title')}</a>}
+        <a className='btn btn-link px-0 ms-auto' href='#statistics'>{t('statistics.title')} →</a>
+      </div>
+      <h2 className='mb-2'>{t('task.contest')} {contest_name}</h2>
+      <h2 className='mb-2'>{t('task.task')} {task_name}</h2>
+      {readOnly && <div className='alert alert-warning'>{t('finish.finished')}</div>}
 
       {!readOnly && <div className='d-grid gap-2 my-3'>
-        <button className='btn btn-primary' onClick={zeroNoSolution}>Заповнити 0 для відсутніх робіт</button>
+        <button className='btn btn-primary' onClick={zeroNoSolution}>{t('results.zeroNoSolution')}</button>
+        <ResultsImportModal.Button />
+        {createPortal(<ResultsImportModal criteria={criteria} />, document.body)}
       </div>}
 
+      {!readOnly && <JudgeSelect />}
+
+      <ResultsExportButtons criteria={criteria} headerRows={headerRows} multiplier={multiplier} />
+
+      <ProgressPanel criteria={criteria} />
+
+      <div className='d-flex flex-wrap justify-content-between gap-2 mb-2'>
+        <ResultsTableToolbar criteria={criteria} shown={visibleUsers.length} onRefresh={refresh} />
+        <UndoRedoButtons />
+      </div>
+
       <table className='table table-bordered table-hover border-dark with-sticky'>
         <thead className='align-middle text-center sticky-top bg-white'>
           <Header rows={headerRows} />
         </thead>
-        <tbody className='align-middle text-center'>
-          <DataX users={users} criteria={criteria} />
+        <tbody ref={bodyRef} className='align-middle text-center'>
+          <DataX users={visibleUsers} criteria={criteria} independent={independent} highlightUser={highlightUser}
+            rows={rows} />
         </tbody>
       </table>
 
       {!readOnly && <div className='d-grid gap-2 mt-1'>
-        <button className='btn btn-primary' onClick={finishCriterion}>Завершити перевірку</button>
+        <FinishChecklistModal.Button />
       </div>}
+      {createPortal(<FinishChecklistModal criteria={criteria} />, document.body)}
     </div>
   );
 };
@@ -0,0 +1,43 @@
+import { useSelector } from 'react-redux';
+
+import ScoreStatisticsCard from '../components/score-statistics-card';
+import { useTranslation } from '../i18n';
+import { selectCriteriaModel, selectScoreEntries } from '../state/selectors';
+
+const StatisticsPage = () => {
+  const contest_name = useSelector(s => s.app.contest_name);
+  const task_name = useSelector(s => s.app.task_name);
+  const [criteria] = useSelector(selectCriteriaModel);
+  const { byCriterion, result, maxResult } = useSelector(selectScoreEntries);
+  const t = useTranslation();
+
+  return (
+    <div className='p-2'>
+      <a className='btn btn-link px-0' href='#results'>← {t('results.title')}</a>
+      <h2 className='mb-2'>{t('task.contest')} {contest_name}</h2>
+      <h2 className='mb-2'>{t('task.task')} {task_name}</h2>
+      <h3 className='my-3'>{t('statistics.heading')}</h3>
+
+      <div className='row g-3'>
+        <div className='col-12'>
+          <ScoreStatisticsCard title={t('table.result')} entries={result} max={maxResult} />
+        </div>
+        {criteria.map(criterion => {
+          const name = criterion.nameLevels.join(' / ');
+          // a penalty is described by the size of the deduction, the histogram only knows non-negative scores
+          const penalty = criterion.type === 'penalty';
+
+          return (
+            <div key={criterion.id} className='col-md-6 col-xl-4'>
+              <ScoreStatisticsCard title={penalty ? `${name} (${t('criteria.type.penalty')})` : name}
+                entries={penalty ? byCriterion[criterion.id].map(e => ({ ...e, value: -e.value })) : byCriterion[criterion.id]}
+                max={penalty ? criterion.limit : criterion.maxScore} criterion={criterion.id} />
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default StatisticsPage;
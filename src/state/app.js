@@ -4,7 +4,13 @@ const slice = createSlice({
   name: 'app',
   initialState: {
     isReady: false,
+    connected: false,
+    // required -> pending -> accepted, or rejected when the server turns the password down
+    login: 'required',
+    token: null,
+    judge: null,
     readOnly: false,
+    chair: false,
     contest_name: '',
     task_name: '',
   },
@@ -12,13 +18,20 @@ const slice = createSlice({
     start: (state) => { state.isReady = false },
     ready: (state, { payload }) => {
       state.readOnly = payload.read_only;
+      state.chair = payload.role === 'chair';
       state.contest_name = payload.contest_name;
       state.task_name = payload.task_name;
       state.isReady = true;
     },
     finish: (state) => {
       state.readOnly = true;
-    }
+    },
+    connect: (state) => { state.connected = true; state.login = 'accepted' },
+    disconnect: (state) => { state.connected = false },
+    setJudge: (state, { payload }) => { state.judge = payload },
+    signIn: (state) => { state.login = 'pending' },
+    reject: (state) => { state.login = 'rejected'; state.connected = false },
+    authenticated: (state, { payload: { token } }) => { state.token = token },
   }
 });
 
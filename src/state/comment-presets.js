@@ -0,0 +1,15 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+import { DEFAULT_COMMENT_PRESETS } from '../models/comment-presets';
+
+const slice = createSlice({
+  name: 'commentPresets',
+  initialState: DEFAULT_COMMENT_PRESETS,
+  reducers: {
+    load: (_state, { payload }) => {
+      return payload;
+    },
+  }
+});
+
+export default slice;
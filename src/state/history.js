@@ -0,0 +1,93 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+import results from './results';
+import comments from './comments';
+import presence from './presence';
+
+const MAX_ENTRIES = 50;
+// consecutive writes of one author (every keystroke is written) collapse into a single entry
+const MERGE_WINDOW = 10000;
+
+export const historyKey = (user, criterion) => criterion == null ? `${user}:comment` : `${user}:${criterion}`;
+
+const normalize = value => value === undefined || value === null ? '' : String(value);
+
+const record = (state, key, value, author, at) => {
+  const from = normalize(state.values[key]);
+  const to = normalize(value);
+  state.values[key] = to;
+  if (from === to) return;
+
+  const entries = state.cells[key] ||= [];
+  const last = entries.at(-1);
+
+  // edits of unknown authors may come from different people, they are never merged
+  if (last && author && last.author === author && at - last.at < MERGE_WINDOW) {
+    Object.assign(last, { to, at });
+    if (last.from === last.to) entries.pop();
+  } else {
+    entries.push({ from, to, author, at });
+    if (entries.length > MAX_ENTRIES) entries.shift();
+  }
+};
+
+const remember = (state, key, value) => {
+  state.values[key] = normalize(value);
+};
+
+const authorOf = payload => payload.judge ?? payload.client_id ?? null;
+
+// History arrives from the server with history/load and is then kept up to date from the result
+// and comment updates the client receives anyway. Only server-confirmed values are recorded.
+// `names` maps the client ids seen in presence to judge names, kept after the client leaves.
+const slice = createSlice({
+  name: 'history',
+  initialState: {
+    cells: {},
+    values: {},
+    names: {},
+  },
+  reducers: {
+    load: (state, { payload }) => {
+      state.cells = {};
+      for (const { user, criterion, from, to, author, at } of payload) {
+        const key = historyKey(user, criterion);
+        (state.cells[key] ||= []).push({ from: normalize(from), to: normalize(to), author, at: Date.parse(at) || at });
+      }
+    },
+
+    push: (state, { payload, meta }) => {
+      const { user, criterion, to, author, at } = payload;
+      record(state, historyKey(user, criterion), to, author, Date.parse(at) || meta?.receivedAt);
+    },
+  },
+  extraReducers: builder => {
+    builder
+      .addCase(results.actions.load, (state, { payload }) => {
+        for (const { user, criterion, value } of payload)
+          remember(state, historyKey(user, criterion), value);
+      })
+      .addCase(comments.actions.load, (state, { payload }) => {
+        for (const { user, value } of payload)
+          remember(state, historyKey(user), value);
+      })
+      .addCase(presence.actions.load, (state, { payload }) => {
+        for (const [id, { judge }] of Object.entries(payload))
+          if (judge) state.names[id] = judge;
+      })
+      .addCase(presence.actions.update, (state, { payload: { client_id, judge } }) => {
+        if (judge) state.names[client_id] = judge;
+      })
+      .addMatcher(
+        ({ type }) => type === results.actions.cleanUpdate.type || type === results.actions.reset.type,
+        (state, { payload, meta }) =>
+          record(state, historyKey(payload.user, payload.criterion), payload.value, authorOf(payload), meta?.receivedAt)
+      )
+      .addMatcher(
+        ({ type }) => type === comments.actions.cleanUpdate.type || type === comments.actions.reset.type,
+        (state, { payload, meta }) => record(state, historyKey(payload.user), payload.value, authorOf(payload), meta?.receivedAt)
+      );
+  },
+});
+
+export default slice;
@@ -11,6 +11,16 @@ import results from './results';
 import comments from './comments';
 import judges from './judges';
 import resultMultiplier from './result-multiplier';
+import outbox from './outbox';
+import scoring from './scoring';
+import judgeResults from './judge-results';
+import history from './history';
+import undo from './undo';
+import tableView from './table-view';
+import presence from './presence';
+import notes from './notes';
+import commentPresets from './comment-presets';
+import locale from './locale';
 
 const store = configureStore({
   reducer: combineReducers({
@@ -24,6 +34,16 @@ const store = configureStore({
     comments: comments.reducer,
     judges: judges.reducer,
     resultMultiplier: resultMultiplier.reducer,
+    outbox: outbox.reducer,
+    scoring: scoring.reducer,
+    judgeResults: judgeResults.reducer,
+    history: history.reducer,
+    undo: undo.reducer,
+    tableView: tableView.reducer,
+    presence: presence.reducer,
+    notes: notes.reducer,
+    commentPresets: commentPresets.reducer,
+    locale: locale.reducer,
   })
 });
 
@@ -0,0 +1,38 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { v4 as uuidv4 } from 'uuid';
+
+const setResult = (state, user, criterion, judge, result) => {
+  state[user] ||= {};
+  state[user][criterion] ||= {};
+  state[user][criterion][judge] = result;
+};
+
+const getResult = (state, user, criterion, judge) => state[user]?.[criterion]?.[judge];
+
+const slice = createSlice({
+  name: 'judgeResults',
+  initialState: {},
+  reducers: {
+    load: (state, { payload }) => {
+      for (const { user, criterion, judge, value } of payload)
+        setResult(state, user, criterion, judge, { value });
+    },
+
+    reset: (state, { payload: { user, criterion, judge, value } }) => {
+      setResult(state, user, criterion, judge, { value });
+    },
+
+    dirtyUpdate: (state, { payload: { user, criterion, judge, value } }) => {
+      const dirty = uuidv4();
+      setResult(state, user, criterion, judge, { value, dirty });
+    },
+
+    cleanUpdate: (state, { payload: { token, user, criterion, judge, value } }) => {
+      const result = getResult(state, user, criterion, judge);
+      if (!result || !result.dirty || result.dirty === token)
+        setResult(state, user, criterion, judge, { value });
+    },
+  }
+});
+
+export default slice;
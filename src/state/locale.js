@@ -0,0 +1,25 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+export const LOCALES = ['uk', 'en'];
+
+const STORAGE_KEY = 'locale';
+
+// The language is a preference of the browser, not of the task, so it is kept outside the task's storage keys
+export const storedLocale = () => {
+  const locale = localStorage.getItem(STORAGE_KEY);
+  return LOCALES.includes(locale) ? locale : LOCALES[0];
+};
+
+export const storeLocale = locale => localStorage.setItem(STORAGE_KEY, locale);
+
+const slice = createSlice({
+  name: 'locale',
+  initialState: storedLocale(),
+  reducers: {
+    set: (_state, { payload }) => {
+      return payload;
+    },
+  }
+});
+
+export default slice;
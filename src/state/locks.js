@@ -1,15 +1,30 @@
 import { createSlice } from '@reduxjs/toolkit';
 
+// A lock that has not been confirmed by a heartbeat for this long belongs to a client that is gone
+export const LOCK_TTL = 60000;
+
+// Older servers send the bare client id of the holder instead of { client_id, judge, at }.
+// `seen` is when this client last heard of the holder (see api/action-cable), so it does not depend on the server clock.
+const holder = (value, seen) => typeof value === 'string'
+  ? { client_id: value, judge: null, at: null, seen }
+  : { client_id: value.client_id, judge: value.judge ?? null, at: value.at ?? null, seen };
+
+export const isStale = (lock, now = Date.now()) => now - lock.seen > LOCK_TTL;
+
 const slice = createSlice({
   name: 'locks',
   initialState: {},
   reducers: {
-    load: (_state, { payload }) => {
-      return payload;
+    load: (_state, { payload, meta }) => {
+      return Object.fromEntries(Object.entries(payload).map(([lock, value]) => [lock, holder(value, meta?.receivedAt)]));
+    },
+
+    acquire: (state, { payload: { lock, ...value }, meta }) => {
+      state[lock] = holder(value, meta?.receivedAt);
     },
 
-    acquire: (state, { payload: { lock, client_id } }) => {
-      state[lock] = client_id;
+    heartbeat: (state, { payload: { lock }, meta }) => {
+      if (state[lock]) state[lock].seen = meta?.receivedAt;
     },
 
     release: (state, { payload: { lock } }) => {
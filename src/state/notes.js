@@ -0,0 +1,38 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { v4 as uuidv4 } from 'uuid';
+
+// Optional justification of a single result, e.g. "partial credit for the chart, no legend"
+const setNote = (state, user, criterion, note) => {
+  state[user] ||= {};
+  state[user][criterion] = note;
+};
+
+const getNote = (state, user, criterion) => state[user]?.[criterion];
+
+const slice = createSlice({
+  name: 'notes',
+  initialState: {},
+  reducers: {
+    load: (state, { payload }) => {
+      for (const { user, criterion, value } of payload)
+        setNote(state, user, criterion, { value });
+    },
+
+    reset: (state, { payload: { user, criterion, value } }) => {
+      setNote(state, user, criterion, { value });
+    },
+
+    dirtyUpdate: (state, { payload: { user, criterion, value } }) => {
+      const dirty = uuidv4();
+      setNote(state, user, criterion, { value, dirty });
+    },
+
+    cleanUpdate: (state, { payload: { token, user, criterion, value } }) => {
+      const note = getNote(state, user, criterion);
+      if (!note || !note.dirty || note.dirty === token)
+        setNote(state, user, criterion, { value });
+    },
+  }
+});
+
+export default slice;
@@ -0,0 +1,24 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+const slice = createSlice({
+  name: 'outbox',
+  initialState: [],
+  reducers: {
+    load: (_state, { payload }) => {
+      return payload;
+    },
+
+    // a newer write to the same cell supersedes the queued one
+    push: (state, { payload }) => {
+      const entries = state.filter(e => e.key !== payload.key);
+      entries.push(payload);
+      return entries;
+    },
+
+    shift: (state) => {
+      state.shift();
+    },
+  }
+});
+
+export default slice;
@@ -0,0 +1,27 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+import app from './app';
+
+// Clients connected to the task: { [client_id]: { judge, focus } }, where focus is the lock key of the cell they are in
+const slice = createSlice({
+  name: 'presence',
+  initialState: {},
+  reducers: {
+    load: (_state, { payload }) => {
+      return payload;
+    },
+
+    update: (state, { payload: { client_id, judge, focus } }) => {
+      state[client_id] = { judge: judge ?? null, focus: focus ?? null };
+    },
+
+    leave: (state, { payload: { client_id } }) => {
+      delete state[client_id];
+    },
+  },
+  extraReducers: builder => {
+    builder.addCase(app.actions.disconnect, () => ({}));
+  },
+});
+
+export default slice;
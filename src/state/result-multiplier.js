@@ -1,4 +1,6 @@
-import { createSlice } from '@reduxjs/toolkit';
+import { createSelector, createSlice } from '@reduxjs/toolkit';
+
+import { parseMultiplier } from '../models/scoring';
 
 const slice = createSlice({
   name: 'resultMultiplier',
@@ -10,4 +12,7 @@ const slice = createSlice({
   },
 });
 
+// the locale is an input only so the error message follows the interface language
+export const selectMultiplier = createSelector(s => s.resultMultiplier, s => s.locale, text => parseMultiplier(text));
+
 export default slice;
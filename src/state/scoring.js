@@ -0,0 +1,17 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+const slice = createSlice({
+  name: 'scoring',
+  initialState: {
+    mode: 'shared',
+    aggregation: 'mean',
+    threshold: '',
+  },
+  reducers: {
+    load: (state, { payload }) => {
+      return { ...state, ...payload };
+    },
+  }
+});
+
+export default slice;
@@ -0,0 +1,263 @@
+import { createSelector } from '@reduxjs/toolkit';
+
+import { aggregate, hasDiscrepancy } from '../models/aggregation';
+import { zeroingComments } from '../models/comment-presets';
+import { buildCriteria, criterionType, isDiscrete, maxScore } from '../models/criterion';
+import { computeResult, roundScore, sumValues } from '../models/scoring';
+import { parseResult, validateResult } from '../utils/result-validation';
+import { selectMultiplier } from './result-multiplier';
+
+export const selectJudgeValues = (s, user, criterion) => Object.values(s.judgeResults[user]?.[criterion] || {}).map(r => r.value);
+
+// The exact aggregate of all judges; only the sums use it, so they are rounded once
+const selectCellAggregate = (s, user, criterion) => aggregate(selectJudgeValues(s, user, criterion), s.scoring.aggregation);
+
+// In the independent mode a cell is worth the rounded aggregate of all judges, otherwise its shared value
+export const selectCellValue = (s, user, criterion) => {
+  if (s.scoring.mode !== 'independent')
+    return s.results[user]?.[criterion]?.value;
+
+  const value = selectCellAggregate(s, user, criterion);
+  return value ? roundScore(value) : undefined;
+};
+
+export const selectUserValues = (s, user) => {
+  if (s.scoring.mode !== 'independent')
+    return s.results[user] && Object.values(s.results[user]).map(r => r.value);
+
+  return s.criteria.map(c => selectCellAggregate(s, user, c.id)?.toString()).filter(x => x !== undefined);
+};
+
+// The criteria model and table header, rebuilt only when the criteria or the multiplier change
+// the header rows hold translated labels, so they are rebuilt when the language changes
+export const selectCriteriaModel = createSelector(
+  s => s.criteria,
+  selectMultiplier,
+  s => s.locale,
+  (criteria, { value: multiplier }) => criteria.length ? buildCriteria(criteria, multiplier) : [[], []]
+);
+
+// One instance per row: the totals are recomputed only when that row's results change
+export const makeSelectUserTotals = () => createSelector(
+  (s, user) => s.results[user],
+  (s, user) => s.judgeResults[user],
+  s => s.scoring,
+  s => s.criteria,
+  selectMultiplier,
+  (_s, user) => user,
+  (row, judgeRow, scoring, criteria, { value: multiplier }, user) => {
+    const values = selectUserValues({ results: { [user]: row }, judgeResults: { [user]: judgeRow }, scoring, criteria }, user);
+    const sum = values && sumValues(values);
+    return { sum: roundScore(sum), result: roundScore(values && computeResult(sum, multiplier)) };
+  }
+);
+
+export const selectDiscrepancies = s => {
+  if (s.scoring.mode !== 'independent') return [];
+
+  return s.users.flatMap(user => s.criteria
+    .filter(c => hasDiscrepancy(selectJudgeValues(s, user, c.id), s.scoring.threshold))
+    .map(c => ({ user, criterion: c.id })));
+};
+
+const isFilled = value => value !== undefined && value !== null && value !== '';
+
+// Filled and missing cells per criterion and per user, plus how many works got each comment
+export const selectProgress = createSelector(
+  s => s.users,
+  s => s.criteria,
+  s => s.results,
+  s => s.judgeResults,
+  s => s.scoring,
+  s => s.comments,
+  (users, criteria, results, judgeResults, scoring, comments) => {
+    const state = { users, criteria, results, judgeResults, scoring };
+    const byCriterion = Object.fromEntries(criteria.map(c => [c.id, 0]));
+    const byUser = {};
+    const missing = [];
+    const commentCounts = {};
+
+    for (const user of users) {
+      byUser[user] = 0;
+
+      for (const { id } of criteria) {
+        if (isFilled(selectCellValue(state, user, id))) {
+          byCriterion[id]++;
+          byUser[user]++;
+        } else {
+          missing.push({ user, criterion: id });
+        }
+      }
+
+      const comment = comments[user]?.value?.trim();
+      if (comment) commentCounts[comment] = (commentCounts[comment] || 0) + 1;
+    }
+
+    return { byCriterion, byUser, missing, commentCounts, total: users.length * criteria.length };
+  }
+);
+
+const lockCell = lock => {
+  const [, user, criterion] = lock.split(':');
+  return criterion === 'comment' ? { user } : { user, criterion };
+};
+
+// Problems the chair has to resolve or acknowledge before finishing the task, blocking ones cannot be acknowledged
+export const selectFinishChecklist = createSelector(
+  s => s.users,
+  s => s.criteria,
+  s => s.results,
+  s => s.judgeResults,
+  s => s.scoring,
+  s => s.comments,
+  s => s.notes,
+  s => s.locks,
+  s => s.outbox,
+  s => s.commentPresets,
+  s => s.locale,
+  (_s, clientId) => clientId,
+  (users, criteria, results, judgeResults, scoring, comments, notes, locks, outbox, commentPresets, _locale, clientId) => {
+    const state = { users, criteria, results, judgeResults, scoring, comments };
+    const { missing } = selectProgress(state);
+
+    const invalid = users.flatMap(user => criteria.flatMap(criterion => {
+      // an aggregate of yes/no or option values falls between them, every judge's own value was checked on entry
+      if (scoring.mode === 'independent' && isDiscrete(criterionType(criterion))) return [];
+
+      const value = selectCellValue(state, user, criterion.id);
+      if (!isFilled(value)) return [];
+
+      const error = validateResult(parseResult(value), criterion);
+      return error ? [{ user, criterion: criterion.id, text: `${value}: ${error}` }] : [];
+    }));
+
+    const unsaved = {};
+    const markUnsaved = (user, criterion) => { unsaved[`${user}:${criterion ?? ''}`] = { user, criterion }; };
+    for (const [user, row] of Object.entries(results))
+      for (const [criterion, { dirty }] of Object.entries(row))
+        if (dirty) markUnsaved(user, criterion);
+    for (const [user, row] of Object.entries(judgeResults))
+      for (const [criterion, cells] of Object.entries(row))
+        if (Object.values(cells).some(c => c.dirty)) markUnsaved(user, criterion);
+    for (const [user, { dirty }] of Object.entries(comments))
+      if (dirty) markUnsaved(user);
+    for (const [user, row] of Object.entries(notes))
+      for (const [criterion, { dirty }] of Object.entries(row))
+        if (dirty) markUnsaved(user, criterion);
+    for (const { data } of outbox)
+      if (data.user) markUnsaved(data.user, data.criterion);
+
+    const lockedByOthers = Object.entries(locks)
+      .filter(([lock, holder]) => holder.client_id !== clientId && lock.split(':').length >= 3)
+      .map(([lock, holder]) => ({ ...lockCell(lock), text: holder.judge }));
+
+    const zeroing = zeroingComments(commentPresets);
+    const commentedWithScores = users
+      .filter(user => zeroing.includes(comments[user]?.value?.trim()))
+      .filter(user => criteria.some(c => parseResult(selectCellValue(state, user, c.id) ?? '') > 0))
+      .map(user => ({ user, text: comments[user].value }));
+
+    return [
+      { key: 'missing', items: missing },
+      { key: 'invalid', items: invalid },
+      { key: 'unsaved', items: Object.values(unsaved) },
+      { key: 'locked', items: lockedByOthers },
+      { key: 'commented', items: commentedWithScores },
+      { key: 'discrepancies', items: selectDiscrepancies(state), blocking: true },
+    ];
+  }
+);
+
+// Numeric scores of every criterion and of the final result, as { user, value } entries for the statistics
+export const selectScoreEntries = createSelector(
+  s => s.users,
+  s => s.criteria,
+  s => s.results,
+  s => s.judgeResults,
+  s => s.scoring,
+  selectMultiplier,
+  (users, criteria, results, judgeResults, scoring, { value: multiplier }) => {
+    const state = { users, criteria, results, judgeResults, scoring };
+    const byCriterion = Object.fromEntries(criteria.map(c => [c.id, []]));
+    const result = [];
+
+    for (const user of users) {
+      for (const { id } of criteria) {
+        const value = selectCellValue(state, user, id);
+        if (isFilled(value) && Number.isFinite(parseResult(value)))
+          byCriterion[id].push({ user, value: parseResult(value) });
+      }
+
+      const total = computeResult(sumValues(selectUserValues(state, user) || []), multiplier);
+      if (total) result.push({ user, value: total.toNumber() });
+    }
+
+    const maxResult = computeResult(sumValues(criteria.map(maxScore)), multiplier);
+    return { byCriterion, result, maxResult: maxResult ? maxResult.toNumber() : null };
+  }
+);
+
+export const SORT_KEYS = { order: 'order', code: 'code', sum: 'sum', result: 'result' };
+export const criterionSortKey = id => `criterion:${id}`;
+
+const sortValue = (state, user, sort, multiplier) => {
+  if (sort === SORT_KEYS.sum || sort === SORT_KEYS.result) {
+    const sum = sumValues(selectUserValues(state, user) || []);
+    const value = sort === SORT_KEYS.sum ? sum : computeResult(sum, multiplier);
+    return value ? value.toNumber() : null;
+  }
+
+  const value = selectCellValue(state, user, sort.slice(criterionSortKey('').length));
+  return isFilled(value) && Number.isFinite(parseResult(value)) ? parseResult(value) : null;
+};
+
+const editedBy = (state, authors) => {
+  const users = new Set();
+
+  for (const [key, entries] of Object.entries(state.history.cells))
+    if (entries.some(e => authors.includes(e.author)))
+      users.add(key.slice(0, key.lastIndexOf(':')));
+
+  const { judge } = state.app;
+  for (const [user, row] of Object.entries(state.judgeResults))
+    if (judge && Object.values(row).some(cells => cells[judge]))
+      users.add(user);
+
+  return users;
+};
+
+const FILTERS = {
+  all: () => () => true,
+  incomplete: state => user => state.criteria.some(c => !isFilled(selectCellValue(state, user, c.id))),
+  commented: state => user => !!state.comments[user]?.value?.trim(),
+  mine: (state, clientId) => {
+    const users = editedBy(state, [clientId, state.app.judge].filter(x => x));
+    return user => users.has(user);
+  },
+};
+
+// Rows of the results table in the order and with the filter the judge picked; empty values always sort last
+export const selectVisibleUsers = (state, clientId) => {
+  const { sort, descending, filter, search } = state.tableView;
+  const query = search.trim().toLowerCase();
+  const { value: multiplier } = selectMultiplier(state);
+
+  const users = state.users
+    .filter((FILTERS[filter] || FILTERS.all)(state, clientId))
+    .filter(user => !query || String(user).toLowerCase().includes(query));
+
+  if (sort === SORT_KEYS.order)
+    return descending ? users.reverse() : users;
+
+  const direction = descending ? -1 : 1;
+  if (sort === SORT_KEYS.code)
+    return users.sort((a, b) => direction * String(a).localeCompare(String(b), undefined, { numeric: true }));
+
+  const values = new Map(users.map(user => [user, sortValue(state, user, sort, multiplier)]));
+  return users.sort((a, b) => {
+    const x = values.get(a);
+    const y = values.get(b);
+    if (x === null || y === null) return (x === null) - (y === null);
+    return direction * (x - y);
+  });
+};
@@ -0,0 +1,34 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+// How the results table is shown to this judge; kept out of the server state so reloads of it do not reset the view
+const slice = createSlice({
+  name: 'tableView',
+  initialState: {
+    sort: 'order',
+    descending: false,
+    filter: 'all',
+    search: '',
+  },
+  reducers: {
+    load: (state, { payload }) => {
+      return { ...state, ...payload };
+    },
+
+    setSort: (state, { payload }) => {
+      if (state.sort === payload)
+        state.descending = !state.descending;
+      else
+        Object.assign(state, { sort: payload, descending: false });
+    },
+
+    setFilter: (state, { payload }) => {
+      state.filter = payload;
+    },
+
+    setSearch: (state, { payload }) => {
+      state.search = payload;
+    },
+  }
+});
+
+export default slice;
@@ -0,0 +1,35 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+const MAX_OPERATIONS = 100;
+
+const slice = createSlice({
+  name: 'undo',
+  initialState: {
+    past: [],
+    future: [],
+  },
+  reducers: {
+    record: (state, { payload }) => {
+      state.past.push(payload);
+      if (state.past.length > MAX_OPERATIONS) state.past.shift();
+      state.future = [];
+    },
+
+    undone: (state) => {
+      const operation = state.past.pop();
+      if (operation) state.future.push(operation);
+    },
+
+    redone: (state) => {
+      const operation = state.future.pop();
+      if (operation) state.past.push(operation);
+    },
+
+    // drops the operation that has just been moved by undone/redone, it cannot be replayed any more
+    discard: (state, { payload: { from } }) => {
+      state[from].pop();
+    },
+  }
+});
+
+export default slice;
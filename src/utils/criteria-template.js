@@ -0,0 +1,118 @@
+import { read, utils, writeFile } from 'xlsx';
+
+import { criterionType } from '../models/criterion';
+
+const TEMPLATE_VERSION = 1;
+
+// Part of the file format, not of the interface: templates are read back whatever the language
+const CRITERIA_HEADER = ['Назва критерію', 'Кількість балів', 'Крок', 'Тип', 'Варіанти'];
+const MULTIPLIER_LABEL = 'Множник до результату';
+
+const nameKey = name => String(name).split('/').map(l => l.trim().toLowerCase()).join('/');
+
+const toNumber = value => (value === '' || value === null || value === undefined) ? '' : parseFloat(value);
+
+// Templates saved before criteria had types describe numeric criteria without options
+const templateCriterion = ({ name, type, limit, step, options }) => ({
+  name: String(name ?? ''),
+  type: criterionType({ type }),
+  limit: toNumber(limit),
+  step: toNumber(step),
+  options: String(options ?? ''),
+});
+
+export const buildTemplate = (criteria, resultMultiplier) => ({
+  version: TEMPLATE_VERSION,
+  criteria: criteria.map(templateCriterion),
+  resultMultiplier,
+});
+
+const download = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // revoked right away, Firefox and Safari cancel the download that has only just started
+  setTimeout(() => URL.revokeObjectURL(url));
+};
+
+export const exportTemplateJSON = (template, name) =>
+  download(JSON.stringify(template, null, 2), `${name}.json`, 'application/json');
+
+export const exportTemplateXLSX = (template, name) => {
+  const wb = utils.book_new();
+  const rows = template.criteria.map(({ name, limit, step, type, options }) => [name, limit, step, type, options]);
+  utils.book_append_sheet(wb, utils.aoa_to_sheet([CRITERIA_HEADER, ...rows]), 'Criteria');
+  utils.book_append_sheet(wb, utils.aoa_to_sheet([[MULTIPLIER_LABEL, template.resultMultiplier]]), 'Settings');
+  writeFile(wb, `${name}.xlsx`);
+};
+
+const parseJSON = text => {
+  const data = JSON.parse(text);
+  if (!Array.isArray(data?.criteria)) throw new Error('No criteria in the template');
+
+  return {
+    criteria: data.criteria.map(templateCriterion),
+    resultMultiplier: data.resultMultiplier != null ? String(data.resultMultiplier) : null,
+  };
+};
+
+const parseWorkbook = buffer => {
+  const wb = read(buffer);
+  const [criteriaRows, settingsRows] = ['Criteria', 'Settings'].map((name, i) => {
+    const sheet = wb.Sheets[name] || (i === 0 && wb.Sheets[wb.SheetNames[0]]);
+    return sheet ? utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: false }) : [];
+  });
+
+  const rows = criteriaRows[0]?.[0] === CRITERIA_HEADER[0] ? criteriaRows.slice(1) : criteriaRows;
+  const multiplier = settingsRows.find(r => r[0] === MULTIPLIER_LABEL)?.[1];
+
+  return {
+    criteria: rows.filter(r => String(r[0]).trim())
+      .map(([name, limit, step, type, options]) => templateCriterion({ name, type, limit, step, options })),
+    resultMultiplier: multiplier !== undefined && multiplier !== '' ? String(multiplier) : null,
+  };
+};
+
+export const readTemplate = async file => {
+  if (file.name.toLowerCase().endsWith('.json'))
+    return parseJSON(await file.text());
+
+  return parseWorkbook(await file.arrayBuffer());
+};
+
+// Matches template criteria to the current ones by name. In 'replace' mode criteria missing from
+// the template are deleted, unless they already have results; neither is the type of those changed.
+export const diffTemplate = (template, criteria, usedIds, mode) => {
+  const existing = new Map();
+  for (const criterion of criteria) {
+    const key = nameKey(criterion.name);
+    existing.set(key, [...(existing.get(key) || []), criterion]);
+  }
+
+  const changes = template.criteria.map(params => {
+    const criterion = existing.get(nameKey(params.name))?.shift();
+    if (!criterion) return { kind: 'add', ...params };
+
+    const current = templateCriterion(criterion);
+    if (usedIds.includes(criterion.id) && (current.type !== params.type || current.options !== params.options))
+      return { kind: 'blocked', id: criterion.id, ...params, oldType: current.type };
+
+    const same = ['type', 'limit', 'step', 'options'].every(key => current[key] === params[key]);
+    return same
+      ? { kind: 'keep', id: criterion.id, ...params }
+      : { kind: 'update', id: criterion.id, ...params, oldLimit: criterion.limit, oldStep: criterion.step };
+  });
+
+  for (const criterion of [...existing.values()].flat()) {
+    const { id } = criterion;
+    const params = templateCriterion(criterion);
+    if (mode !== 'replace')
+      changes.push({ kind: 'keep', id, ...params });
+    else
+      changes.push({ kind: usedIds.includes(id) ? 'blocked' : 'delete', id, ...params });
+  }
+
+  return changes;
+};
@@ -0,0 +1,92 @@
+const DECIMAL = /^([+-])?(\d*)(?:[.,](\d*))?$/;
+
+const abs = x => x < 0n ? -x : x;
+
+const gcd = (a, b) => {
+  a = abs(a);
+  b = abs(b);
+  while (b) [a, b] = [b, a % b];
+  return a;
+};
+
+const parseDecimal = text => {
+  const match = DECIMAL.exec(text.trim());
+  if (!match || (!match[2] && !match[3])) return null;
+
+  const [, sign, whole, fraction = ''] = match;
+  const numerator = BigInt(`${whole || 0}${fraction}`) * (sign === '-' ? -1n : 1n);
+  return new Fraction(numerator, 10n ** BigInt(fraction.length));
+};
+
+class Fraction {
+  constructor(numerator, denominator = 1n) {
+    if (!denominator) throw new RangeError('Division by zero');
+
+    const sign = denominator < 0n ? -1n : 1n;
+    const divisor = gcd(numerator, denominator) || 1n;
+    this.numerator = sign * numerator / divisor;
+    this.denominator = sign * denominator / divisor;
+  }
+
+  // Accepts integers, decimals (with a dot or a comma) and fractions of them like "3 / 4";
+  // returns null for anything else, including a zero denominator
+  static parse(text) {
+    const parts = String(text).split('/');
+    if (parts.length > 2) return null;
+
+    const [numerator, denominator = new Fraction(1n)] = parts.map(parseDecimal);
+    if (!numerator || !denominator || !denominator.numerator) return null;
+
+    return numerator.div(denominator);
+  }
+
+  add(other) {
+    return new Fraction(
+      this.numerator * other.denominator + other.numerator * this.denominator,
+      this.denominator * other.denominator
+    );
+  }
+
+  sub(other) {
+    return this.add(new Fraction(-other.numerator, other.denominator));
+  }
+
+  mul(other) {
+    return new Fraction(this.numerator * other.numerator, this.denominator * other.denominator);
+  }
+
+  div(other) {
+    return new Fraction(this.numerator * other.denominator, this.denominator * other.numerator);
+  }
+
+  sign() {
+    return this.numerator < 0n ? -1 : (this.numerator > 0n ? 1 : 0);
+  }
+
+  // mode is one of 'half-up' (away from zero), 'half-even' or 'down' (towards zero)
+  round(digits, mode) {
+    const scale = 10n ** BigInt(digits);
+    const scaled = this.numerator * scale;
+    let quotient = scaled / this.denominator;
+    const twiceRemainder = abs(scaled % this.denominator) * 2n;
+    const step = this.numerator < 0n ? -1n : 1n;
+
+    if (mode === 'half-up' && twiceRemainder >= this.denominator)
+      quotient += step;
+    else if (mode === 'half-even' && (twiceRemainder > this.denominator ||
+             (twiceRemainder === this.denominator && quotient % 2n)))
+      quotient += step;
+
+    return new Fraction(quotient, scale);
+  }
+
+  toNumber() {
+    return Number(this.numerator) / Number(this.denominator);
+  }
+
+  toString() {
+    return this.denominator === 1n ? `${this.numerator}` : `${this.numerator}/${this.denominator}`;
+  }
+}
+
+export default Fraction;
@@ -0,0 +1,34 @@
+const FOCUSABLE = 'input:not(:disabled), select:not(:disabled), textarea:not(:disabled)';
+
+export const KEY_DIRECTIONS = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1],
+  Enter: [1, 0],
+};
+
+const step = (cell, dRow, dCol) => {
+  if (dCol)
+    return dCol > 0 ? cell.nextElementSibling : cell.previousElementSibling;
+
+  const row = dRow > 0 ? cell.parentElement.nextElementSibling : cell.parentElement.previousElementSibling;
+  return row?.children[cell.cellIndex];
+};
+
+// Moves focus from the element to the nearest editable table cell in the direction,
+// skipping cells that are disabled (locked by other clients) or have no input at all
+export const moveFocus = (element, [dRow, dCol]) => {
+  let cell = element.closest('td');
+
+  while (cell && (cell = step(cell, dRow, dCol))) {
+    const target = cell.querySelector(FOCUSABLE);
+    if (target) {
+      target.focus();
+      target.select?.();
+      return true;
+    }
+  }
+
+  return false;
+};
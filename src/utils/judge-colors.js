@@ -0,0 +1,8 @@
+const PALETTE = ['#0d6efd', '#d63384', '#198754', '#fd7e14', '#6f42c1', '#20c997', '#dc3545', '#0dcaf0', '#6c757d', '#ffc107'];
+
+// The same judge gets the same color in every browser, so "the orange one" means the same person to everybody
+export const judgeColor = name => {
+  let hash = 0;
+  for (const char of String(name)) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  return PALETTE[hash % PALETTE.length];
+};
@@ -0,0 +1,45 @@
+import { t } from '../i18n';
+import { criterionType, parseOptions } from '../models/criterion';
+
+const isNumeric = text => /^\s*-?\d+([.,]\d+)?\s*$/.test(text);
+
+const isSet = x => x !== '' && x !== null && x !== undefined;
+
+export const parseResult = text => {
+  if (typeof text === 'number') return text;
+
+  const value = String(text).trim().replace(',', '.');
+  return isNumeric(value) ? parseFloat(value) : NaN;
+};
+
+// Returns the reason the value cannot be accepted for the criterion, or null when it is fine
+export const validateResult = (value, criterion) => {
+  const { limit, step } = criterion;
+  if (Number.isNaN(value)) return t('validation.notNumber');
+
+  switch (criterionType(criterion)) {
+    case 'boolean':
+      return value === 0 || value === parseFloat(limit) ? null : t('validation.boolean', { limit });
+
+    case 'options': {
+      const options = parseOptions(criterion.options);
+      return options.includes(value) ? null : t('validation.options', { options: options.join(' / ') });
+    }
+
+    case 'penalty':
+      if (value > 0) return t('validation.positivePenalty');
+      if (isSet(limit) && value < -parseFloat(limit)) return t('validation.underLimit', { limit: -parseFloat(limit) });
+      break;
+
+    default:
+      if (value < 0) return t('validation.negative');
+      if (isSet(limit) && value > parseFloat(limit)) return t('validation.overLimit', { limit });
+  }
+
+  if (isSet(step) && parseFloat(step) > 0) {
+    const steps = value / parseFloat(step);
+    if (Math.abs(steps - Math.round(steps)) > 1e-9) return t('validation.step', { step });
+  }
+
+  return null;
+};
@@ -0,0 +1,71 @@
+import { utils, writeFile } from 'xlsx';
+
+import { t } from '../i18n';
+import { computeResult, roundScore, sumValues } from '../models/scoring';
+
+// Lays out the html-like header rows (with rowSpan/colSpan) into a plain grid plus sheet merges
+const layoutHeader = headerRows => {
+  const grid = headerRows.map(() => []);
+  const merges = [];
+
+  headerRows.forEach((row, r) => {
+    let c = 0;
+
+    for (const { text, rowSpan = 1, colSpan = 1 } of row) {
+      while (grid[r][c] !== undefined) c++;
+
+      for (let i = 0; i < rowSpan; i++)
+        for (let j = 0; j < colSpan; j++)
+          grid[r + i][c + j] = (i || j) ? null : text;
+
+      if (rowSpan > 1 || colSpan > 1)
+        merges.push({ s: { r, c }, e: { r: r + rowSpan - 1, c: c + colSpan - 1 } });
+
+      c += colSpan;
+    }
+  });
+
+  return [grid.map(row => Array.from(row, x => x ?? '')), merges];
+};
+
+const toNumber = value => (value === '' || value === undefined || value === null) ? '' : parseFloat(value);
+
+const notesText = (criteria, notes) => criteria
+  .filter(c => notes?.[c.id]?.value)
+  .map(c => `${c.nameLevels.join(' / ')}: ${notes[c.id].value}`)
+  .join('\n');
+
+// The sums come from userValues, which may be more exact than the cell values shown
+export const buildResultsSheet = ({ criteria, headerRows, users, cellValue, userValues, comments, notes, multiplier }) => {
+  const [first, ...rest] = headerRows;
+  const [header, merges] = layoutHeader([[...first, { text: t('table.notes'), rowSpan: headerRows.length }], ...rest]);
+
+  const rows = users.map((user, index) => {
+    const raw = criteria.map(c => cellValue(user, c.id));
+    const sum = sumValues(userValues(user));
+
+    return [
+      index + 1,
+      user,
+      ...raw.map(toNumber),
+      roundScore(sum),
+      roundScore(computeResult(sum, multiplier)),
+      comments[user]?.value ?? '',
+      notesText(criteria, notes[user]),
+    ];
+  });
+
+  const sheet = utils.aoa_to_sheet([...header, ...rows]);
+  sheet['!merges'] = merges;
+  return sheet;
+};
+
+const buildWorkbook = sheet => {
+  const wb = utils.book_new();
+  utils.book_append_sheet(wb, sheet, 'Results');
+  return wb;
+};
+
+export const exportResultsXLSX = (sheet, name) => writeFile(buildWorkbook(sheet), `${name}.xlsx`);
+
+export const exportResultsCSV = (sheet, name) => writeFile(buildWorkbook(sheet), `${name}.csv`, { bookType: 'csv' });
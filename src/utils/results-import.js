@@ -0,0 +1,104 @@
+import { read, utils } from 'xlsx';
+
+import { t } from '../i18n';
+import { parseResult, validateResult } from './result-validation';
+
+// a limit cell: a plain number, a penalty with a minus or the options of a criterion like 0 / 2 / 5
+const isLimit = text => /^\s*[-−]?\d+([.,]\d+)?(\s*\/\s*\d+([.,]\d+)?)*\s*$/.test(text);
+const normalize = levels => levels.map(l => l.toLowerCase()).join('/');
+
+// Copies the value of every merged range into all of its cells so multi-level headers can be read per column
+const fillMerges = sheet => {
+  for (const { s, e } of sheet['!merges'] || []) {
+    const origin = sheet[utils.encode_cell(s)];
+    if (!origin) continue;
+
+    for (let r = s.r; r <= e.r; r++)
+      for (let c = s.c; c <= e.c; c++)
+        sheet[utils.encode_cell({ r, c })] = { ...origin };
+  }
+};
+
+// Header cells of a column joined into name levels; limits are skipped
+const columnLevels = (headerRows, c) => {
+  const levels = [];
+
+  for (const row of headerRows) {
+    const text = String(row[c] ?? '').trim();
+    if (!text || isLimit(text)) continue;
+
+    for (const level of text.split('/').map(l => l.trim()).filter(x => x))
+      if (levels.at(-1) !== level) levels.push(level);
+  }
+
+  return levels;
+};
+
+export const readSheet = async file => {
+  const wb = read(await file.arrayBuffer());
+  const sheet = wb.Sheets[wb.SheetNames[0]];
+  fillMerges(sheet);
+  return utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: false });
+};
+
+// Maps sheet columns to criteria by name path and sheet rows to user codes
+export const matchResults = (rows, criteria, users) => {
+  const knownUsers = new Set(users);
+  const isKnown = cell => knownUsers.has(String(cell ?? '').trim());
+  const width = Math.max(0, ...rows.map(r => r.length));
+
+  // the code column is the one with the most known codes, so a numbering column cannot win by chance
+  let codeColumn = -1, codeCount = 0;
+  for (let c = 0; c < width; c++) {
+    const count = rows.filter(row => isKnown(row[c])).length;
+    if (count > codeCount) [codeColumn, codeCount] = [c, count];
+  }
+  if (codeColumn < 0) return { error: t('import.noCodes') };
+
+  const dataStart = rows.findIndex(row => isKnown(row[codeColumn]));
+  const headerRows = rows.slice(0, dataStart);
+
+  const criteriaByName = new Map();
+  for (const criterion of criteria) {
+    const key = normalize(criterion.nameLevels);
+    criteriaByName.set(key, [...(criteriaByName.get(key) || []), criterion]);
+  }
+
+  const columns = [];
+  const unmatchedColumns = [];
+  for (let c = 0; c < width; c++) {
+    if (c === codeColumn) continue;
+
+    const levels = columnLevels(headerRows, c);
+    if (!levels.length) continue;
+
+    const criterion = criteriaByName.get(normalize(levels))?.shift();
+    if (criterion)
+      columns.push({ index: c, criterion });
+    else
+      unmatchedColumns.push(levels.join(' / '));
+  }
+
+  const unknownUsers = [];
+  const entries = [];
+  for (const row of rows.slice(dataStart)) {
+    const user = String(row[codeColumn] ?? '').trim();
+    if (!user) continue;
+
+    if (!knownUsers.has(user)) {
+      unknownUsers.push(user);
+      continue;
+    }
+
+    const cells = columns
+      .filter(({ index }) => String(row[index] ?? '').trim() !== '')
+      .map(({ index, criterion }) => {
+        const value = parseResult(row[index]);
+        return { criterion: criterion.id, value, text: String(row[index]), error: validateResult(value, criterion) };
+      });
+
+    entries.push({ user, cells });
+  }
+
+  return { columns, entries, unmatchedColumns, unknownUsers };
+};
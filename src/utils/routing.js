@@ -0,0 +1,49 @@
+import { useEffect, useState } from 'react';
+
+// The path part of the url is the task id (see api/action-cable), so pages live in the hash:
+// #criteria, #results, #statistics, #results/user/<code> and #results/user/<code>/criterion/<id>
+// a malformed escape like %E0 is kept as typed rather than crashing the app
+const decode = segment => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+export const parseRoute = hash => {
+  const [page, ...params] = hash.replace(/^#\/?/, '').split('/').map(decode);
+  const route = { page: page || 'criteria' };
+
+  for (let i = 0; i + 1 < params.length; i += 2)
+    route[params[i]] = params[i + 1];
+
+  return route;
+};
+
+export const routePath = (page, params = {}) =>
+  [page, ...Object.entries(params).flatMap(([key, value]) => [key, encodeURIComponent(value)])].join('/');
+
+export const navigate = (path, { replace = false } = {}) => {
+  if (replace) {
+    window.history.replaceState(null, '', `#${path}`);
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+  } else {
+    window.location.hash = path;
+  }
+};
+
+export const useRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(
+    () => {
+      const onHashChange = () => setRoute(parseRoute(window.location.hash));
+      window.addEventListener('hashchange', onHashChange);
+      return () => window.removeEventListener('hashchange', onHashChange);
+    },
+    [setRoute]
+  );
+
+  return route;
+};
@@ -0,0 +1,64 @@
+const MAX_DISCRETE_BINS = 20;
+const RANGE_BINS = 10;
+
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Summary of the scores of one column; `entries` are { user, value } with numeric values, `max` is the full mark
+export const describe = (entries, max) => {
+  const values = entries.map(e => e.value).sort((a, b) => a - b);
+  const count = values.length;
+  if (!count) return { count };
+
+  const mean = values.reduce((x, y) => x + y) / count;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / count;
+
+  // Tukey's fences, the usual boxplot rule, so a couple of extreme scores do not hide each other
+  const q1 = quantile(values, 0.25);
+  const q3 = quantile(values, 0.75);
+  const spread = (q3 - q1) * 1.5;
+  const outliers = entries.filter(e => e.value < q1 - spread || e.value > q3 + spread).map(e => e.user);
+
+  return {
+    count,
+    mean,
+    median: quantile(values, 0.5),
+    min: values[0],
+    max: values.at(-1),
+    stddev: Math.sqrt(variance),
+    fullShare: max > 0 ? values.filter(v => v >= max).length / count : null,
+    zeroShare: values.filter(v => v === 0).length / count,
+    outliers,
+  };
+};
+
+// Whole-number scores up to MAX_DISCRETE_BINS get a bar each, anything else is split into equal ranges.
+// Penalties can bring a total below zero, such totals get bars of their own instead of piling up at 0
+export const histogram = (entries, max) => {
+  const values = entries.map(e => e.value);
+  const bottom = Math.min(0, ...values);
+  const top = Math.max(max > 0 ? max : 0, ...values);
+  const span = top - bottom;
+  const discrete = span <= MAX_DISCRETE_BINS && [bottom, top, ...values].every(Number.isInteger);
+
+  const bins = discrete
+    ? Array.from({ length: span + 1 }, (_, i) => ({ from: bottom + i, to: bottom + i, tick: String(bottom + i), label: String(bottom + i) }))
+    : Array.from({ length: RANGE_BINS }, (_, i) => {
+      const from = bottom + span * i / RANGE_BINS;
+      const to = bottom + span * (i + 1) / RANGE_BINS;
+      return { from, to, tick: String(+from.toFixed(2)), label: `${+from.toFixed(2)}–${+to.toFixed(2)}` };
+    });
+
+  for (const bin of bins) bin.users = [];
+
+  for (const { user, value } of entries) {
+    const index = discrete ? value - bottom : (span > 0 ? Math.floor((value - bottom) / span * RANGE_BINS) : 0);
+    bins[Math.min(Math.max(index, 0), bins.length - 1)].users.push(user);
+  }
+
+  return bins;
+};
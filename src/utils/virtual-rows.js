@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+// Smaller tables are rendered in full, the browser copes with them and Ctrl+F keeps working
+const MIN_ROWS = 100;
+const OVERSCAN = 10;
+const ESTIMATED_HEIGHT = 50;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Renders only the rows of a window-scrolled table body that are near the viewport; the rows that are
+// left out are replaced with padding of the average measured row height, so the scrollbar stays right
+export const useVirtualRows = (count, bodyRef) => {
+  const enabled = count > MIN_ROWS;
+  const rowHeight = useRef(ESTIMATED_HEIGHT);
+  const [range, setRange] = useState({ start: 0, end: enabled ? Math.min(count, OVERSCAN * 3) : count });
+
+  const update = useCallback(
+    () => {
+      const body = bodyRef.current;
+      if (!enabled || !body) {
+        setRange(r => r.start === 0 && r.end === count ? r : { start: 0, end: count });
+        return;
+      }
+
+      const rows = body.querySelectorAll(':scope > tr[data-row]');
+      if (rows.length)
+        rowHeight.current = Array.from(rows).reduce((sum, row) => sum + row.offsetHeight, 0) / rows.length;
+
+      const { top } = body.getBoundingClientRect();
+      const start = clamp(Math.floor(-top / rowHeight.current) - OVERSCAN, 0, count);
+      const end = clamp(Math.ceil((window.innerHeight - top) / rowHeight.current) + OVERSCAN, start, count);
+      setRange(r => r.start === start && r.end === end ? r : { start, end });
+    },
+    [bodyRef, count, enabled]
+  );
+
+  useLayoutEffect(update, [update]);
+
+  useEffect(
+    () => {
+      if (!enabled) return;
+
+      let frame = null;
+      const onScroll = () => {
+        if (frame === null) frame = requestAnimationFrame(() => { frame = null; update(); });
+      };
+
+      window.addEventListener('scroll', onScroll, { passive: true });
+      window.addEventListener('resize', onScroll);
+      return () => {
+        window.removeEventListener('scroll', onScroll);
+        window.removeEventListener('resize', onScroll);
+        if (frame !== null) cancelAnimationFrame(frame);
+      };
+    },
+    [enabled, update]
+  );
+
+  const scrollToRow = useCallback(
+    index => {
+      const body = bodyRef.current;
+      if (!body) return;
+
+      const top = body.getBoundingClientRect().top + window.scrollY + index * rowHeight.current;
+      window.scrollTo({ top: top - window.innerHeight / 2 });
+    },
+    [bodyRef]
+  );
+
+  const start = Math.min(range.start, count);
+  const end = Math.min(range.end, count);
+
+  return {
+    start,
+    end,
+    paddingTop: start * rowHeight.current,
+    paddingBottom: (count - end) * rowHeight.current,
+    scrollToRow,
+  };
+};